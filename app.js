@@ -3,6 +3,8 @@
  * Only loaded after gate passes threshold 0.3
  */
 
+import { PROTOCOL_VERSION } from './protocol.js';
+
 const STAGES = [
   { id: 'fingerprint', label: 'Vector Gate', desc: 'Content filtering via similarity' },
   { id: 'behavioral', label: 'Behavioral', desc: 'Mouse, scroll, timing patterns' },
@@ -42,6 +44,17 @@ export function mount(container, state) {
     .vector-state .row { display: flex; justify-content: space-between; font-size: 11px; padding: 6px 0; border-bottom: 1px solid #151515; font-family: 'SF Mono', Monaco, monospace; }
     .vector-state .label { color: #555; }
     .vector-state .value { color: #0f0; }
+    .vector-state button { margin-top: 16px; padding: 6px 12px; background: none; border: 1px solid #222; color: #555; font-size: 10px; cursor: pointer; }
+    .vector-state button:hover { color: #888; border-color: #333; }
+    .explanation { margin-top: 16px; font-size: 11px; font-family: 'SF Mono', Monaco, monospace; }
+    .explanation summary { cursor: pointer; color: #555; }
+    .explanation summary:hover { color: #888; }
+    .explanation .row.signal { padding-left: 16px; }
+    .explanation .row.superseded { opacity: 0.4; }
+    .explanation .negative { color: #f60; }
+    .explanation .note { color: #555; padding: 6px 0; }
+    .features:empty { display: none; }
+    .features { display: grid; gap: 12px; margin: 40px 0; }
     .attestations { margin: 40px 0; }
     .attestations h3 { font-size: 12px; color: #fff; margin-bottom: 16px; font-weight: 500; }
     .attestation-list { display: flex; flex-wrap: wrap; gap: 8px; }
@@ -55,151 +68,291 @@ export function mount(container, state) {
   `;
   document.head.appendChild(style);
 
-  // Build UI
-  container.innerHTML = `
-    <div class="container">
-      <header>
-        <div class="logo">squatch.cc</div>
-        <div class="organic-badge">
-          Organic: <span id="organic-score">${(state.organic * 100).toFixed(0)}%</span>
-        </div>
-      </header>
-
-      <section class="hero">
-        <h1>Vector Fabric</h1>
-        <p>Decentralized reasoning. Data destroyed. Vectors persist. Everything signed. The gate is gated. Nothing revealed until earned.</p>
-      </section>
-
-      <section class="stages" id="stages">
-        ${STAGES.map((s, i) => renderStage(s, i, state)).join('')}
-      </section>
-
-      <section class="vector-state">
-        <h3>Your Vector State</h3>
-        <div class="row">
-          <span class="label">Fingerprint</span>
-          <span class="value">${state.fingerprint || 'generating...'}</span>
-        </div>
-        <div class="row">
-          <span class="label">Stage</span>
-          <span class="value">${state.stageName || 'fingerprint'}</span>
-        </div>
-        <div class="row">
-          <span class="label">Attestations</span>
-          <span class="value" id="attestation-count">${state.attestationCount || 1}</span>
-        </div>
-        <div class="row">
-          <span class="label">CSS Layer 0</span>
-          <span class="value" id="css-gates">${state.cssGatesCompleted?.length || 0}/5 gates</span>
-        </div>
-        <div class="row">
-          <span class="label">Media Signals</span>
-          <span class="value">${state.cssMediaCount || 0}/6 detected</span>
-        </div>
-        <div class="row">
-          <span class="label">Unlocked</span>
-          <span class="value">${state.unlocked?.join(', ') || 'basic-ui'}</span>
-        </div>
-      </section>
-
-      <section class="attestations" id="attestations">
-        <h3>Attestation Chain</h3>
-        <div class="attestation-list">
-          <div class="attestation">fingerprint @ ${new Date().toLocaleTimeString()}</div>
-        </div>
-      </section>
-
-      <footer>
-        <p>
-          <a href="https://github.com/squatch-cc">GitHub</a>
-          <span style="margin: 0 15px; color: #222;">|</span>
-          Data destroyed. Vectors persist.
-        </p>
-      </footer>
-    </div>
-
-    <div class="dance-indicator" title="The dance continues..."></div>
-  `;
+  // Build UI - values only ever go in as text (see RENDERING)
+  const view = createView();
+
+  const row = (label, read, id) => {
+    const value = h('span', { class: 'value', id });
+    view.text(value, read);
+    return h('div', { class: 'row' }, h('span', { class: 'label' }, label), value);
+  };
+
+  const stages = STAGES.map((stage, index) => {
+    const status = h('div', { class: 'status' });
+    const element = h('div', { class: 'stage' },
+      h('h3', {}, `Stage ${index}: ${stage.label}`),
+      h('p', {}, stage.desc),
+      status
+    );
+    view.bind(s => stageStatus(index, s.stage), (value) => {
+      element.className = `stage ${value}`;
+      status.textContent = STATUS_LABELS[value];
+    });
+    return element;
+  });
+
+  const explanation = h('details', { class: 'explanation', id: 'explanation' },
+    h('summary', {}, 'Why this score'),
+    h('div', { id: 'explanation-body' }, h('div', { class: 'note' }, 'Asking the service worker...'))
+  );
+  const forgetMe = h('button', { type: 'button', id: 'forget-me' }, 'Forget me');
+
+  // The SW's own list - its timestamps, each entry once
+  const chain = h('div', { class: 'attestation-list' });
+  view.list(chain,
+    s => [...(s.attestations || [])].sort((a, b) => a.timestamp - b.timestamp),
+    a => JSON.stringify(a),
+    a => h('div', { class: 'attestation', title: a.expires ? `counts until ${new Date(a.expires).toLocaleString()}` : 'does not expire' },
+      `${a.type} +${(a.boost || 0).toFixed(3)} @ ${new Date(a.timestamp).toLocaleTimeString()}`)
+  );
+
+  const organic = h('span', { id: 'organic-score' });
+  view.text(organic, s => `${((s.organic || 0) * 100).toFixed(0)}%`);
+
+  container.replaceChildren(
+    h('div', { class: 'container' },
+      h('header', {},
+        h('div', { class: 'logo' }, 'squatch.cc'),
+        h('div', { class: 'organic-badge' }, 'Organic: ', organic)
+      ),
+
+      h('section', { class: 'hero' },
+        h('h1', {}, 'Vector Fabric'),
+        h('p', {}, 'Decentralized reasoning. Data destroyed. Vectors persist. Everything signed. The gate is gated. Nothing revealed until earned.')
+      ),
+
+      h('section', { class: 'stages', id: 'stages' }, stages),
+
+      h('section', { class: 'vector-state' },
+        h('h3', {}, 'Your Vector State'),
+        row('Fingerprint', s => s.fingerprint || 'generating...'),
+        row('Mode', s => describeMode(s.mode), 'gate-mode'),
+        row('Version', s => s.updated ? describeVersion(s.updated) : s.version || 'n/a', 'gate-version'),
+        row('Stage', s => s.stageName || 'fingerprint'),
+        row('Attestations', s => s.attestationCount || 1, 'attestation-count'),
+        row('CSS Layer 0', s => `${s.cssGatesCompleted?.length || 0}/6 gates`, 'css-gates'),
+        row('Media Signals', s => `${s.cssMediaCount || 0}/6 detected`),
+        row('Returning', s => s.forgotten !== undefined && !s.returning ? `forgotten (${s.forgotten} stored)` : describeReturning(s.returning), 'returning'),
+        row('Privacy', s => s.privacy?.length ? `hardened (${s.privacy.join(', ')}) - proof of work path` : 'standard'),
+        // These can shrink when attestations expire
+        row('Unlocked', s => s.unlocked?.join(', ') || 'none', 'unlocked'),
+        explanation,
+        forgetMe
+      ),
+
+      // Feature modules mount here (see gate.js)
+      h('div', { class: 'features', id: 'features' }),
+
+      h('section', { class: 'attestations', id: 'attestations' },
+        h('h3', {}, 'Attestation Chain'),
+        chain
+      ),
+
+      h('footer', {},
+        h('p', {},
+          h('a', { href: 'https://github.com/squatch-cc' }, 'GitHub'),
+          h('span', { style: 'margin: 0 15px; color: #222;' }, '|'),
+          'Data destroyed. Vectors persist.'
+        )
+      )
+    ),
+
+    h('div', { class: 'dance-indicator', title: 'The dance continues...' })
+  );
+  view.update(state);
 
   // Listen for state updates
   if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
     navigator.serviceWorker.addEventListener('message', (event) => {
-      const { type, payload } = event.data || {};
+      const { v, type, payload } = event.data || {};
 
-      if (type === 'unlock' || type === 'state') {
-        updateUI(payload);
+      // The same from every worker - shown even from one on another protocol
+      if (type === 'version-changed') {
+        view.update(v === PROTOCOL_VERSION && payload?.state ? { ...payload.state, updated: payload } : { updated: payload });
+        return;
       }
+      if (v !== PROTOCOL_VERSION) return;
+
+      if (type === 'unlock' || type === 'state' || type === 'revoke') {
+        view.update(payload);
+        // An unlock carries the stage, not the attestation behind it
+        if (type === 'unlock') requestState();
+        if (explanation.open) requestExplanation();
+      } else if (type === 'explanation') {
+        renderExplanation(payload);
+      } else if (type === 'forgotten') {
+        view.update({ forgotten: payload.removed });
+      }
+    });
+
+    // Drops this browser's stored fingerprints and any stage they resumed
+    forgetMe.addEventListener('click', () => {
+      navigator.serviceWorker.controller?.postMessage({ v: PROTOCOL_VERSION, type: 'forget-me' });
     });
 
-    // Request current state
-    navigator.serviceWorker.controller.postMessage({ type: 'get-state' });
+    // Fetched when opened, and again on every change while open
+    explanation.addEventListener('toggle', () => {
+      if (explanation.open) requestExplanation();
+    });
+
+    requestState();
+  } else if (state.mode === 'page') {
+    // No SW: page-gate.js keeps the state and has no explanations to give
+    addEventListener('squatch-state', (event) => view.update(event.detail));
+    document.getElementById('explanation-body').replaceChildren(h('div', { class: 'note' }, 'Needs the service worker'));
+    forgetMe.remove();
   }
 }
 
-function renderStage(stage, index, state) {
-  const currentStage = state.stage || 0;
-  let status = 'locked';
+/**
+ * Where the gate runs - page mode can't hold anything back by itself
+ */
+function describeMode(mode) {
+  return mode === 'page' ? 'page only - no service worker, limited checks' : 'service worker';
+}
 
-  if (index < currentStage) status = 'unlocked';
-  else if (index === currentStage) status = 'current';
+/**
+ * A new SW took over - its state carried over, this page's code didn't
+ */
+function describeVersion({ version, previous } = {}) {
+  const from = previous && previous !== version ? ` from ${previous}` : '';
+  return `${version} - updated${from}, reload for the new page`;
+}
 
-  const statusLabel = status === 'locked' ? 'LOCKED' : status === 'current' ? 'CURRENT' : 'PASSED';
+/**
+ * How the SW matched this browser against earlier visits
+ */
+function describeReturning(returning) {
+  if (!returning) return 'not remembered';
+  if (!returning.matched) return returning.visits === 1 ? 'first visit' : 'unsure';
 
-  return `
-    <div class="stage ${status}">
-      <h3>Stage ${index}: ${stage.label}</h3>
-      <p>${stage.desc}</p>
-      <div class="status">${statusLabel}</div>
-    </div>
-  `;
+  const confidence = `${(returning.confidence * 100).toFixed(0)}% confident`;
+  return returning.resumed
+    ? `visit ${returning.visits}, ${confidence}, resumed ${returning.resumed}`
+    : `visit ${returning.visits}, ${confidence}`;
 }
 
-function updateUI(state) {
-  // Update organic score
-  const scoreEl = document.getElementById('organic-score');
-  if (scoreEl) {
-    scoreEl.textContent = `${(state.organic * 100).toFixed(0)}%`;
-  }
+function requestExplanation() {
+  navigator.serviceWorker.controller?.postMessage({ v: PROTOCOL_VERSION, type: 'get-explanation' });
+}
 
-  // Update attestation count
-  const attCountEl = document.getElementById('attestation-count');
-  if (attCountEl) {
-    attCountEl.textContent = state.attestationCount || 1;
-  }
+function requestState() {
+  navigator.serviceWorker.controller?.postMessage({ v: PROTOCOL_VERSION, type: 'get-state' });
+}
 
-  // Update CSS gates count
-  const cssGatesEl = document.getElementById('css-gates');
-  if (cssGatesEl) {
-    cssGatesEl.textContent = `${state.cssGatesCompleted?.length || 0}/5 gates`;
-  }
+/**
+ * Every attestation with the signals behind its boost, and how far the
+ * next stage is
+ */
+function renderExplanation(explanation) {
+  const body = document.getElementById('explanation-body');
+  if (!body || !explanation) return;
+
+  const row = (label, value, className = 'row') =>
+    h('div', { class: className }, h('span', { class: 'label' }, label), h('span', { class: 'value' }, value));
+  const delta = (d) => h('span', { class: d < 0 ? 'negative' : '' }, `${d < 0 ? '-' : '+'}${Math.abs(d).toFixed(3)}`);
+  const value = (v) => (typeof v === 'number' ? ` = ${+v.toFixed(3)}` : v === null || v === undefined ? '' : ` = ${v}`);
+
+  const attestations = explanation.attestations.flatMap(a => [
+    row(`${a.type} (${a.by})${a.counted ? '' : ' - superseded'}`, delta(a.boost), a.counted ? 'row' : 'row superseded'),
+    ...a.signals.map(s => row(`${s.source}${value(s.value)}`, delta(s.delta), `row signal${a.counted ? '' : ' superseded'}`))
+  ]);
 
-  // Update stages
-  const stagesEl = document.getElementById('stages');
-  if (stagesEl) {
-    stagesEl.innerHTML = STAGES.map((s, i) => renderStage(s, i, state)).join('');
+  const next = explanation.next;
+  body.replaceChildren(
+    ...(attestations.length ? attestations : [h('div', { class: 'note' }, 'No attestations yet')]),
+    explanation.clamped ? row('Clamped to 0-1', delta(explanation.clamped)) : '',
+    row('Organic', explanation.organic.toFixed(3)),
+    h('div', { class: 'note' },
+      `${next ? `${next.stage} at ${next.threshold} - ${next.gap.toFixed(3)} to go` : 'Every stage reached'}. ` +
+      'Only the best attestation of each type counts.')
+  );
+}
+
+const STATUS_LABELS = { unlocked: 'PASSED', current: 'CURRENT', locked: 'LOCKED' };
+
+function stageStatus(index, stage = 0) {
+  if (index < stage) return 'unlocked';
+  return index === stage ? 'current' : 'locked';
+}
+
+// ========== RENDERING ==========
+
+// The page is built from elements, never from markup: text is set as
+// text, so nothing the SW or the page reports can become HTML. Parts
+// that follow the state are bound to what they show and only touched
+// when that changes.
+
+/**
+ * Element with attributes and children - strings become text nodes,
+ * arrays are flattened, null/false/'' are skipped
+ */
+function h(tag, attributes = {}, ...children) {
+  const element = document.createElement(tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== undefined && value !== null && value !== false) element.setAttribute(name, value === true ? '' : value);
   }
+  element.append(...children.flat().filter(child => child !== null && child !== undefined && child !== false && child !== ''));
+  return element;
+}
 
-  // Add attestation to chain
-  const attestList = document.querySelector('.attestation-list');
-  if (attestList) {
-    // Check for CSS gate completion
-    if (state.cssGate) {
-      const att = document.createElement('div');
-      att.className = 'attestation';
-      att.textContent = `css-${state.cssGate} @ ${new Date().toLocaleTimeString()}`;
-      attestList.appendChild(att);
-    }
-    // Check for stage change
-    else if (state.stageName) {
-      const existing = attestList.querySelectorAll('.attestation');
-      const lastType = existing[existing.length - 1]?.textContent.split(' @')[0];
-
-      if (lastType !== state.stageName) {
-        const att = document.createElement('div');
-        att.className = 'attestation';
-        att.textContent = `${state.stageName} @ ${new Date().toLocaleTimeString()}`;
-        attestList.appendChild(att);
+/**
+ * The state and what follows it. Messages carry parts of the state (an
+ * unlock has no attestations) - update() merges them in.
+ */
+function createView() {
+  const bindings = [];
+  let state = {};
+
+  return {
+    /** Call `apply(value)` whenever `read(state)` gives something new */
+    bind(read, apply) {
+      bindings.push({ read, apply, last: undefined });
+    },
+
+    text(element, read) {
+      this.bind(read, (value) => { element.textContent = value; });
+    },
+
+    /** Keyed list: entries stay while their key does, each key once */
+    list(element, read, key, render) {
+      const entries = new Map(); // key -> element
+      this.bind(read, (items) => reconcile(element, entries, items, key, render));
+    },
+
+    update(changes) {
+      state = { ...state, ...changes };
+      for (const binding of bindings) {
+        const value = binding.read(state);
+        const seen = JSON.stringify(value);
+        if (seen === binding.last) continue;
+        binding.last = seen;
+        binding.apply(value);
       }
     }
+  };
+}
+
+function reconcile(element, entries, items, key, render) {
+  const keys = new Set();
+  for (const item of items) {
+    const id = key(item);
+    if (keys.has(id)) continue;
+    keys.add(id);
+
+    let entry = entries.get(id);
+    if (!entry) {
+      entry = render(item);
+      entries.set(id, entry);
+    }
+    // Kept entries go in order ahead of the ones about to leave
+    const at = element.children[keys.size - 1];
+    if (at !== entry) element.insertBefore(entry, at || null);
+  }
+
+  for (const [id, entry] of entries) {
+    if (keys.has(id)) continue;
+    entry.remove();
+    entries.delete(id);
   }
 }
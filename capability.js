@@ -0,0 +1,198 @@
+/**
+ * capability.js - Capability Tokens
+ * Short-lived, ECDSA-signed statements of what a gate session unlocked.
+ * Minted by vector-sw.js, attached to the requests it lets through,
+ * checked by a backend with verifyCapability(). WebCrypto only - runs in
+ * the SW, in browsers and in Node 18+.
+ *
+ * Without a service worker, page-gate.js mints them in the page and sets
+ * them as a cookie. Those say `mode: 'page'`: nothing but the page stood
+ * behind the score, so don't take their `unlocks` at face value.
+ *
+ * Format: a JWT (RFC 7519) signed ES256. The header carries the signer's
+ * public key (`jwk`) and its RFC 7638 thumbprint (`kid`).
+ *
+ * The signing key is made by the browser, so a valid signature proves the
+ * token came from the SW holding that key - not that the SW is honest.
+ * Decide which keys to trust, and how far. server-gate.js accepts only
+ * keys that have solved one of its challenges, up to the stage that work
+ * stands for - proveSigningKey() is the other half.
+ */
+
+import { search } from './pow.js';
+import { base64urlEncode, base64urlDecode } from './webauthn.js';
+
+export const CAPABILITY_HEADER = 'Squatch-Capability';
+export const CAPABILITY_COOKIE = 'squatch-capability'; // Page mode - no SW to add the header
+export const CAPABILITY_VERSION = 1;
+export const PROOF_PATH = 'squatch-proof'; // Below the site root - see proveSigningKey()
+
+const ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Allowed clock difference between the browser and the backend
+const DEFAULT_LEEWAY = 30;
+
+// ========== KEYS ==========
+
+/**
+ * New signing key pair. The private half can't be exported, even by us.
+ */
+export async function generateSigningKey() {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(ALGORITHM, false, ['sign', 'verify']);
+  const jwk = await crypto.subtle.exportKey('jwk', publicKey);
+  const publicJwk = { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+  return { privateKey, publicJwk, kid: await thumbprint(publicJwk) };
+}
+
+/**
+ * RFC 7638 JWK thumbprint - a stable id for an EC public key
+ */
+export async function thumbprint(jwk) {
+  const canonical = JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return base64urlEncode(digest);
+}
+
+// ========== MINTING ==========
+
+/**
+ * Sign `claims` for `ttl` seconds. `key` is what generateSigningKey() returns.
+ */
+export async function mintCapability(key, claims, ttl = 300) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'ES256', typ: 'JWT', kid: key.kid, jwk: key.publicJwk };
+  const payload = { v: CAPABILITY_VERSION, ...claims, iat: now, exp: now + ttl };
+
+  const signingInput = `${encodeJSON(header)}.${encodeJSON(payload)}`;
+  const signature = await crypto.subtle.sign(SIGNATURE, key.privateKey, new TextEncoder().encode(signingInput));
+
+  return { token: `${signingInput}.${base64urlEncode(signature)}`, expires: payload.exp * 1000 };
+}
+
+// ========== KEY PROOF ==========
+
+const PROOF_TOKEN_TTL = 60;      // seconds
+const MAX_PROOF_DIFFICULTY = 24; // Past this the server asks too much - keep the key unproven
+const PROOF_BUDGET = 65536;      // Hashes between yields
+
+/**
+ * Earn `key` a server's trust: fetch a challenge for `level` ('key', or
+ * 'pow' for the pow stage) from `url` (the site's PROOF_PATH), solve its
+ * proof of work and post the answer signed with the key, with a
+ * `receipt` from an earlier answer if there is one. Resolves with the
+ * server's { level, expires, worked, receipt } once it accepts, null
+ * where it says no or has no such endpoint.
+ *
+ * `solve({ challenge, difficulty, expires })` resolves with a nonce, or
+ * null to give up - by default it is solved here. `fetch` is for tests.
+ */
+export async function proveSigningKey(key, url, { audience, level = 'key', receipt, solve = solveProof, fetch = globalThis.fetch } = {}) {
+  const target = new URL(url);
+  target.searchParams.set('level', level);
+  const response = await fetch(target.href, { cache: 'no-store', credentials: 'omit' });
+  if (!response.ok) return null;
+
+  const { challenge, difficulty, expires } = await response.json();
+  if (typeof challenge !== 'string' || !Number.isInteger(difficulty) || difficulty > MAX_PROOF_DIFFICULTY) return null;
+
+  const nonce = await solve({ challenge, difficulty, expires });
+  if (!Number.isSafeInteger(nonce)) return null;
+
+  const { token } = await mintCapability(key, {
+    aud: audience,
+    unlocks: [],
+    proof: { challenge, nonce },
+    ...(receipt ? { receipt } : {})
+  }, PROOF_TOKEN_TTL);
+
+  const answer = await fetch(url, { method: 'POST', body: token, cache: 'no-store', credentials: 'omit' });
+  if (!answer.ok) return null;
+
+  const proven = await answer.json().catch(() => null);
+  return typeof proven?.level === 'string' ? proven : null;
+}
+
+/**
+ * In slices, so a worker still answers its events meanwhile
+ */
+async function solveProof({ challenge, difficulty }) {
+  let result = search(challenge, difficulty, { budget: PROOF_BUDGET });
+  while (result.hash === undefined) {
+    await new Promise(resolve => setTimeout(resolve));
+    result = search(challenge, difficulty, { start: result.next, budget: PROOF_BUDGET });
+  }
+  return result.nonce;
+}
+
+// ========== VERIFICATION ==========
+
+/**
+ * Check a token. Returns { ok: true, claims, kid } or { ok: false, reason }.
+ *
+ * options:
+ *   trust(kid, jwk, claims) -> bool   Required. Is this signer one you accept?
+ *   audience                          Origin the token must be for
+ *   require                           Unlock name (or names) the token must grant
+ *   now                               ms, for tests
+ *   leeway                            Seconds of clock skew allowed
+ */
+export async function verifyCapability(token, { trust, audience, require, now = Date.now(), leeway = DEFAULT_LEEWAY } = {}) {
+  if (typeof token !== 'string') return { ok: false, reason: 'malformed' };
+  if (typeof trust !== 'function') return { ok: false, reason: 'no-trust' };
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return { ok: false, reason: 'malformed' };
+
+  const header = decodeJSON(parts[0]);
+  const claims = decodeJSON(parts[1]);
+  if (!header || !claims) return { ok: false, reason: 'malformed' };
+  if (header.alg !== 'ES256' || header.jwk?.kty !== 'EC' || header.jwk?.crv !== 'P-256') {
+    return { ok: false, reason: 'algorithm' };
+  }
+  if (claims.v !== CAPABILITY_VERSION) return { ok: false, reason: 'version' };
+
+  // kid must really be this key, or trust() is asked about the wrong one
+  const kid = await thumbprint(header.jwk);
+  if (header.kid !== kid) return { ok: false, reason: 'kid' };
+
+  let valid = false;
+  try {
+    const key = await crypto.subtle.importKey('jwk', { kty: 'EC', crv: 'P-256', x: header.jwk.x, y: header.jwk.y },
+      ALGORITHM, false, ['verify']);
+    valid = await crypto.subtle.verify(SIGNATURE, key, base64urlDecode(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`));
+  } catch {
+    valid = false;
+  }
+  if (!valid) return { ok: false, reason: 'signature' };
+
+  const seconds = now / 1000;
+  if (!Number.isFinite(claims.exp) || seconds > claims.exp + leeway) return { ok: false, reason: 'expired' };
+  if (!Number.isFinite(claims.iat) || claims.iat > seconds + leeway) return { ok: false, reason: 'not-yet-valid' };
+  if (audience !== undefined && claims.aud !== audience) return { ok: false, reason: 'audience' };
+
+  if (!(await trust(kid, header.jwk, claims))) return { ok: false, reason: 'untrusted-key' };
+
+  const required = require === undefined ? [] : [].concat(require);
+  if (!Array.isArray(claims.unlocks) || !required.every(u => claims.unlocks.includes(u))) {
+    return { ok: false, reason: 'missing-unlock' };
+  }
+
+  return { ok: true, claims, kid };
+}
+
+// ========== UTILITIES ==========
+
+function encodeJSON(value) {
+  return base64urlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function decodeJSON(part) {
+  try {
+    const value = JSON.parse(new TextDecoder().decode(base64urlDecode(part)));
+    return typeof value === 'object' && value !== null ? value : null;
+  } catch {
+    return null;
+  }
+}
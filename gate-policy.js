@@ -0,0 +1,289 @@
+/**
+ * gate-policy.js - Gate Policy
+ * Validates and evaluates gate-policy.json: which stages unlock what,
+ * and which requests need which unlock. Imported by vector-sw.js,
+ * page-gate.js and server.js.
+ * No DOM, no dependencies.
+ *
+ * {
+ *   "version": 1,              // Policy format - must be POLICY_VERSION
+ *   "revision": 3,             // Bump on every change; older revisions are ignored
+ *   "defaultDeny": true,       // Requests no rule matches: deny (true) or pass (false)
+ *   "deny": 204,               // Denial status, 204 or 404
+ *   "stages": [{ "id": "fingerprint", "threshold": 0.3, "unlock": ["basic-ui"] }],
+ *   "rules": [{ "paths": ["app/**"], "methods": ["GET"], "require": "basic-ui", "deny": 404 }],
+ *   "lifetimes": { "pow": 3600, "css": 600, "default": 86400 }
+ * }
+ *
+ * Paths are globs relative to the SW scope: `*` and `?` stay within a
+ * segment, `**` crosses segments (`assets/**` is a prefix). The first
+ * rule matching path and method wins. `require` is null (public),
+ * "session" (any initialized session) or an unlock some stage grants.
+ *
+ * Lifetimes are seconds an attestation counts towards the organic score,
+ * by type ("css-hover"), then type family ("css"), then "default".
+ * Types with none never expire. "carried" is the stand-in a session gets
+ * for the stage it held when the policy changed.
+ */
+
+export const POLICY_VERSION = 1;
+
+const DENY_STATUSES = [204, 404];
+const POLICY_KEYS = ['version', 'revision', 'defaultDeny', 'deny', 'stages', 'rules', 'lifetimes'];
+const STAGE_KEYS = ['id', 'threshold', 'unlock'];
+const RULE_KEYS = ['paths', 'methods', 'require', 'deny'];
+
+// ========== VALIDATION ==========
+
+/**
+ * Check a parsed policy. Returns { ok: true, policy } with globs compiled
+ * and everything frozen, or { ok: false, errors }.
+ */
+export function compilePolicy(json) {
+  const errors = [];
+  const fail = (message) => errors.push(message);
+
+  if (!isObject(json)) return { ok: false, errors: ['policy: not an object'] };
+
+  unknownKeys(json, POLICY_KEYS, 'policy', fail);
+  if (json.version !== POLICY_VERSION) fail(`version: expected ${POLICY_VERSION}`);
+  if (json.revision !== undefined && !(Number.isSafeInteger(json.revision) && json.revision >= 0)) {
+    fail('revision: expected a non-negative integer');
+  }
+  if (json.defaultDeny !== undefined && typeof json.defaultDeny !== 'boolean') fail('defaultDeny: expected a boolean');
+  if (json.deny !== undefined && !DENY_STATUSES.includes(json.deny)) fail('deny: expected 204 or 404');
+
+  const stages = [];
+  const unlocks = new Set();
+  if (!Array.isArray(json.stages)) {
+    fail('stages: expected an array');
+  } else {
+    json.stages.forEach((stage, i) => {
+      const at = `stages[${i}]`;
+      if (!isObject(stage)) return fail(`${at}: not an object`);
+      unknownKeys(stage, STAGE_KEYS, at, fail);
+
+      if (typeof stage.id !== 'string' || !stage.id) fail(`${at}.id: expected a string`);
+      else if (stages.some(s => s.id === stage.id)) fail(`${at}.id: duplicate "${stage.id}"`);
+
+      if (typeof stage.threshold !== 'number' || !(stage.threshold >= 0 && stage.threshold <= 1)) {
+        fail(`${at}.threshold: expected 0-1`);
+      } else if (stages.length && stage.threshold < stages[stages.length - 1].threshold) {
+        fail(`${at}.threshold: lower than the stage before`);
+      }
+
+      if (!isStringArray(stage.unlock)) fail(`${at}.unlock: expected an array of strings`);
+      else stage.unlock.forEach(u => unlocks.add(u));
+
+      stages.push(Object.freeze({ id: stage.id, threshold: stage.threshold, unlock: Object.freeze([...(stage.unlock || [])]) }));
+    });
+  }
+
+  const rules = [];
+  if (!Array.isArray(json.rules)) {
+    fail('rules: expected an array');
+  } else {
+    json.rules.forEach((rule, i) => {
+      const at = `rules[${i}]`;
+      if (!isObject(rule)) return fail(`${at}: not an object`);
+      unknownKeys(rule, RULE_KEYS, at, fail);
+
+      if (!isStringArray(rule.paths) || !rule.paths.length) fail(`${at}.paths: expected a non-empty array of strings`);
+      if (rule.methods !== undefined && !(isStringArray(rule.methods) && rule.methods.every(m => /^[A-Z]+$/.test(m)))) {
+        fail(`${at}.methods: expected upper-case method names`);
+      }
+      if (!('require' in rule)) {
+        fail(`${at}.require: missing (null for public)`);
+      } else if (rule.require !== null && rule.require !== 'session' && !unlocks.has(rule.require)) {
+        fail(`${at}.require: no stage unlocks "${rule.require}"`);
+      }
+      if (rule.deny !== undefined && !DENY_STATUSES.includes(rule.deny)) fail(`${at}.deny: expected 204 or 404`);
+
+      if (errors.length) return;
+      rules.push(Object.freeze({
+        paths: Object.freeze([...rule.paths]),
+        patterns: Object.freeze(rule.paths.map(globToRegExp)),
+        methods: rule.methods ? Object.freeze([...rule.methods]) : null,
+        require: rule.require,
+        deny: rule.deny ?? json.deny ?? 204
+      }));
+    });
+  }
+
+  const lifetimes = {};
+  if (json.lifetimes !== undefined) {
+    if (!isObject(json.lifetimes)) {
+      fail('lifetimes: expected an object');
+    } else {
+      for (const [type, seconds] of Object.entries(json.lifetimes)) {
+        if (typeof seconds !== 'number' || !(seconds > 0)) fail(`lifetimes.${type}: expected seconds > 0`);
+        else lifetimes[type] = seconds;
+      }
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    policy: Object.freeze({
+      version: json.version,
+      revision: json.revision ?? 0,
+      defaultDeny: json.defaultDeny ?? false,
+      deny: json.deny ?? 204,
+      stages: Object.freeze(stages),
+      rules: Object.freeze(rules),
+      lifetimes: Object.freeze(lifetimes)
+    })
+  };
+}
+
+/**
+ * `*` one segment, `**` any depth, `?` one character. A leading `/` is
+ * ignored - paths are always scope-relative.
+ */
+export function globToRegExp(glob) {
+  glob = glob.replace(/^\/+/, '');
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// ========== EVALUATION ==========
+
+/**
+ * Decide one request. `path` is relative to the scope and already
+ * decoded; `session` needs { initialized, unlocked } or is null.
+ * Returns { allow, status, rule } - rule is null when nothing matched.
+ */
+export function evaluate(policy, path, method, session) {
+  const rule = matchRule(policy, path, method);
+
+  if (!rule) {
+    return policy.defaultDeny
+      ? { allow: false, status: policy.deny, rule: null }
+      : { allow: true, status: 200, rule: null };
+  }
+
+  if (rule.require === null) return { allow: true, status: 200, rule };
+
+  // No session for this client = nothing earned
+  const earned = !!session?.initialized &&
+    (rule.require === 'session' || session.unlocked.includes(rule.require));
+
+  return earned
+    ? { allow: true, status: 200, rule }
+    : { allow: false, status: rule.deny, rule };
+}
+
+export function matchRule(policy, path, method) {
+  return policy.rules.find(rule =>
+    (!rule.methods || rule.methods.includes(method)) &&
+    rule.patterns.some(pattern => pattern.test(path))
+  ) || null;
+}
+
+/**
+ * How long an attestation of `type` counts, in ms (Infinity: forever)
+ */
+export function attestationLifetime(policy, type) {
+  const { lifetimes } = policy;
+  const seconds = lifetimes[type] ?? lifetimes[type.split('-')[0]] ?? lifetimes.default;
+  return seconds === undefined ? Infinity : seconds * 1000;
+}
+
+/**
+ * Highest stage `organic` qualifies for, or -1 below the first
+ */
+export function stageFor(policy, organic) {
+  for (let i = policy.stages.length - 1; i >= 0; i--) {
+    if (organic >= policy.stages[i].threshold) return i;
+  }
+  return -1;
+}
+
+/**
+ * What a session is owed when `previous` gives way to `next`: enough to
+ * reach the stage (by id) `held` had it at, on top of the `remaining`
+ * score. It lapses with the first of `expiries` - the attestations it
+ * stands in for - or the "carried" lifetime, whichever is sooner.
+ * Returns { stage, boost, expires }, or null if nothing is owed.
+ */
+export function carryStage(previous, next, { held, remaining, expiries }, now = Date.now()) {
+  const id = previous.stages[stageFor(previous, held)]?.id;
+  const stage = next.stages.find(s => s.id === id);
+  const boost = stage ? stage.threshold - remaining : 0;
+  if (!(boost > 0)) return null;
+
+  const expires = Math.min(now + attestationLifetime(next, 'carried'), ...expiries);
+  return { stage: stage.id, boost, expires };
+}
+
+/**
+ * Furthest stage a server grants a signing key for what it checked itself
+ * (server-gate.js): `key` - the key solved its challenge - the first
+ * stage; `pow` - it also did the pow stage's work - through the "pow"
+ * stage; `enrolled` - vouched for by other means - every stage. -1 for
+ * anything else.
+ */
+export function provenStage(policy, level) {
+  if (level === 'enrolled') return policy.stages.length - 1;
+  if (level === 'pow') return Math.max(0, policy.stages.findIndex(stage => stage.id === 'pow'));
+  return level === 'key' ? 0 : -1;
+}
+
+/**
+ * Stages up to and including `index` - what a session at that stage holds
+ */
+export function unlocksThrough(policy, index) {
+  return policy.stages.slice(0, index + 1).flatMap(stage => stage.unlock);
+}
+
+/**
+ * Feature modules `unlocked` opens - the scripts rules name outright for
+ * one of those unlocks, as './search.js'. Globs and what any session may
+ * load (app.js) aren't features.
+ */
+export function modulesFor(policy, unlocked) {
+  const paths = policy.rules
+    .filter(rule => rule.require && rule.require !== 'session' && unlocked.includes(rule.require))
+    .flatMap(rule => rule.paths)
+    .filter(path => /^[\w./-]+\.js$/.test(path));
+  return [...new Set(paths)].map(path => `./${path}`);
+}
+
+// ========== UTILITIES ==========
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string');
+}
+
+function unknownKeys(object, allowed, at, fail) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) fail(`${at}.${key}: unknown key`);
+  }
+}
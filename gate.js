@@ -4,8 +4,12 @@
  *
  * Layer 0: CSS Gates (already running)
  * Layer 1: This file - JS fingerprinting + SW installation
+ *          (or page mode, where there can be no SW), then the
+ *          feature modules as they unlock
  */
 
+import { PROTOCOL_VERSION } from './protocol.js';
+
 /**
  * Read CSS custom properties set by Layer 0
  * These are set via @media queries and CSS animations
@@ -41,40 +45,435 @@ function readCSSGates() {
 }
 
 /**
- * Observe CSS gate completions and report to SW
+ * Watch the six interactive CSS gates and report each one once, with
+ * what happened on the way there: { events: [{ type, target, t }] }.
+ * t is ms since navigation, target the node within the gate (scroll: %).
+ * Completing a gate proves little; the SW judges whether the events
+ * look like a person did it. Markup of index.html and css-gate.html.
  */
 function observeCSSGates(callback) {
-  // Watch for checkbox changes
-  document.querySelectorAll('.checkbox-gate input').forEach(cb => {
-    cb.addEventListener('change', () => {
-      const all = document.querySelectorAll('.checkbox-gate input:checked').length === 3;
-      if (all) callback('checkbox', true);
+  const MAX_EVENTS = 200;
+  const now = () => Math.round(performance.now() * 10) / 10;
+
+  const records = {};
+  const reported = new Set();
+
+  const record = (gate, type, target = 0) => {
+    const events = (records[gate] ||= []);
+    if (events.length < MAX_EVENTS) events.push({ type, target, t: now() });
+  };
+  const report = (gate) => {
+    if (reported.has(gate)) return;
+    reported.add(gate);
+    callback(gate, { events: records[gate] || [] });
+  };
+  // Script-dispatched events don't count
+  const on = (target, type, handler, options) =>
+    target?.addEventListener(type, (e) => e.isTrusted && handler(e), options);
+
+  // Time: the delayed reveal animation has run
+  const layer = document.querySelector('.layer-0, .time-gate');
+  const reveal = layer?.getAnimations?.().find(a => a.effect?.getTiming().delay >= 2000);
+  reveal?.finished.then(() => {
+    record('time', 'end');
+    report('time');
+  }, () => {});
+
+  // Hover: 1 -> 2 -> 3, each node appears once the one before is hovered
+  const hoverNodes = ['.h1', '.h2', '.h3'].map(node => document.querySelector(`.hover-gate ${node}`));
+  let lastMove = 0;
+  on(document.querySelector('.hover-gate'), 'pointermove', () => {
+    if (now() - lastMove < 20) return;
+    lastMove = now();
+    record('hover', 'move');
+  });
+  hoverNodes.forEach((node, i) => on(node, 'pointerenter', () => {
+    record('hover', 'enter', i);
+    if (i === hoverNodes.length - 1) report('hover');
+  }));
+
+  // Click: held for at least a second
+  const clickTarget = document.querySelector('.click-gate .click-target');
+  let pressed = null;
+  on(clickTarget, 'pointerenter', () => record('click', 'enter'));
+  on(clickTarget, 'pointerdown', () => {
+    pressed = now();
+    record('click', 'down');
+  });
+  on(window, 'pointerup', () => {
+    if (pressed === null) return;
+    record('click', 'up');
+    if (now() - pressed >= 1000) report('click');
+    pressed = null;
+  });
+  on(window, 'pointercancel', () => { pressed = null; });
+
+  // Checkbox: all three checked (through their labels - the inputs are hidden)
+  const boxes = [...document.querySelectorAll('.checkbox-gate input[type="checkbox"]')];
+  boxes.forEach((box, i) => {
+    on(box.labels?.[0], 'pointerdown', () => record('checkbox', 'down', i));
+    on(box, 'change', () => {
+      record('checkbox', box.checked ? 'check' : 'uncheck', i);
+      if (boxes.every(b => b.checked)) report('checkbox');
     });
   });
 
-  // Watch for hover gate completion (via MutationObserver on status dot)
-  const hoverStatus = document.querySelector('.hover-gate .css-status');
-  if (hoverStatus) {
-    const observer = new MutationObserver(() => {
-      const bg = getComputedStyle(hoverStatus).backgroundColor;
-      if (bg.includes('0, 255, 0') || bg.includes('0, 255, 0')) {
-        callback('hover', true);
-        observer.disconnect();
-      }
+  // Scroll: past 80%, sampled every 100ms on the way
+  let lastScroll = -Infinity;
+  on(window, 'scroll', () => {
+    const range = document.body.scrollHeight - window.innerHeight;
+    if (range <= 0) return;
+    const percent = Math.min(100, Math.round(100 * window.scrollY / range));
+    if (now() - lastScroll >= 100 || percent > 80) {
+      lastScroll = now();
+      record('scroll', 'scroll', percent);
+    }
+    if (percent > 80) report('scroll');
+  }, { passive: true });
+
+  // Focus: tabbed through all four nodes
+  const focusNodes = [...document.querySelectorAll('.focus-gate button')];
+  on(document, 'keydown', (e) => {
+    if (e.key === 'Tab' && !reported.has('focus')) record('focus', 'key', e.shiftKey ? 1 : 0);
+  });
+  focusNodes.forEach((node, i) => on(node, 'focus', () => {
+    record('focus', 'focus', i);
+    if (i === focusNodes.length - 1) report('focus');
+  }));
+}
+
+/**
+ * Per-tab session token, negotiated with the SW on init.
+ * The SW keys vector, attestations and unlocks by it, so tabs stay isolated.
+ */
+function getSessionToken() {
+  try {
+    let token = sessionStorage.getItem('squatch-session');
+    if (!token) {
+      const bytes = crypto.getRandomValues(new Uint8Array(16));
+      token = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+      sessionStorage.setItem('squatch-session', token);
+    }
+    return token;
+  } catch {
+    return null; // Storage blocked - SW falls back to our client ID
+  }
+}
+
+/**
+ * Thin bar along the top while proof of work runs.
+ * Shows the chance the puzzle is solved by now (1 - e^-work), which
+ * approaches but never claims 100% since the work needed is random.
+ */
+function showProgress(fraction) {
+  let bar = document.getElementById('gate-progress');
+  if (!bar) {
+    bar = document.createElement('div');
+    bar.id = 'gate-progress';
+    bar.setAttribute('role', 'progressbar');
+    bar.setAttribute('aria-label', 'Verifying');
+    bar.style.cssText = 'position:fixed;top:0;left:0;height:2px;width:0;background:#0f0;z-index:10000;transition:width .2s';
+    document.body.appendChild(bar);
+  }
+
+  const pct = Math.round(100 * (1 - Math.exp(-fraction)));
+  bar.style.width = `${pct}%`;
+  bar.setAttribute('aria-valuenow', pct);
+}
+
+function hideProgress() {
+  document.getElementById('gate-progress')?.remove();
+}
+
+/**
+ * Say what the gate is doing to screen readers, through a polite live
+ * region that is otherwise invisible. Only for what the visitor has to
+ * wait for or do - the silent checks stay silent.
+ */
+function announce(text) {
+  let region = document.getElementById('gate-status');
+  if (!region) {
+    region = document.createElement('div');
+    region.id = 'gate-status';
+    region.setAttribute('role', 'status');
+    region.setAttribute('aria-live', 'polite');
+    region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap';
+    document.body.appendChild(region);
+  }
+  region.textContent = text;
+}
+
+/**
+ * Call back once if the page is being used without a pointer: forced
+ * colours, or keyboard navigation and keyboard/screen reader clicks
+ * (detail 0) before any pointer was seen. Those visitors get the
+ * sequence task instead of the behavioral challenge.
+ */
+function watchInputMode(callback) {
+  if (matchMedia('(forced-colors: active)').matches) return callback();
+
+  const NAVIGATION_KEYS = ['Tab', 'ArrowDown', 'ArrowUp'];
+  const controller = new AbortController();
+  const done = () => {
+    controller.abort();
+    callback();
+  };
+  const options = { capture: true, passive: true, signal: controller.signal };
+
+  addEventListener('pointermove', (e) => e.isTrusted && controller.abort(), options);
+  addEventListener('pointerdown', (e) => e.isTrusted && controller.abort(), options);
+  addEventListener('keydown', (e) => e.isTrusted && NAVIGATION_KEYS.includes(e.key) && done(), options);
+  addEventListener('click', (e) => e.isTrusted && e.detail === 0 && done(), options);
+}
+
+/**
+ * The sequence challenge: press the buttons in the order read out.
+ * Built to be done from a keyboard, switch or screen reader; a mouse
+ * works too. We are only told the next word to find: each press goes to
+ * the SW (`post(item, key)`), which times it and answers with the word
+ * after (sequence-prompt). Resolves {} once the SW has them all, or null
+ * if dismissed or out of time.
+ */
+function runSequence({ id, data: { items, find, of, expires } }, post) {
+  const returnFocus = document.activeElement;
+
+  const panel = document.createElement('section');
+  panel.id = 'gate-task';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-labelledby', 'gate-task-title');
+  panel.setAttribute('aria-describedby', 'gate-task-help');
+  panel.style.cssText = 'position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);z-index:10000;' +
+    'max-width:28rem;padding:1rem;background:#111;color:#eee;border:2px solid #0f0;font:1rem/1.4 system-ui,sans-serif';
+
+  const title = document.createElement('h2');
+  title.id = 'gate-task-title';
+  title.tabIndex = -1;
+  title.textContent = 'Quick check';
+  title.style.cssText = 'margin:0 0 .5rem;font-size:1.1rem';
+
+  const help = document.createElement('p');
+  help.id = 'gate-task-help';
+  const ask = (word, step) => { help.textContent = `Press ${word} (${step + 1} of ${of}).`; };
+  ask(find, 0);
+
+  const group = document.createElement('div');
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', 'Buttons');
+  const buttons = items.map((item) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = item;
+    button.setAttribute('aria-pressed', 'false');
+    button.style.cssText = 'margin:0 .5rem .5rem 0;padding:.5rem 1rem;font:inherit';
+    group.appendChild(button);
+    return button;
+  });
+
+  const restart = document.createElement('button');
+  restart.type = 'button';
+  restart.textContent = 'Start over';
+  restart.style.cssText = 'margin-right:.5rem;padding:.25rem .75rem;font:inherit';
+
+  const skip = document.createElement('button');
+  skip.type = 'button';
+  skip.textContent = 'Not now';
+  skip.style.cssText = 'padding:.25rem .75rem;font:inherit';
+
+  panel.append(title, help, group, restart, skip);
+  document.body.appendChild(panel);
+  title.focus();
+
+  return new Promise(resolve => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => finish(null), Math.max(0, expires - Date.now()));
+    let waiting = false; // One press with the SW at a time
+
+    function finish(result) {
+      clearTimeout(timer);
+      controller.abort();
+      panel.remove();
+      returnFocus?.focus?.();
+      announce(result ? 'Check complete.' : 'Check closed.');
+      resolve(result);
+    }
+
+    const press = (item, key) => {
+      if (waiting) return;
+      waiting = true;
+      post(item, key);
+    };
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      const { v, type, payload } = event.data || {};
+      if (v !== PROTOCOL_VERSION || type !== 'sequence-prompt' || payload?.id !== id) return;
+      waiting = false;
+
+      if (payload.step === payload.of) return finish({});
+      if (payload.step === 0) buttons.forEach(b => b.setAttribute('aria-pressed', 'false'));
+      ask(payload.find, payload.step);
+      announce(payload.missed ? `Not that one. Start again with ${payload.find}.`
+        : payload.step === 0 ? `Cleared. Start again with ${payload.find}.`
+        : `${payload.find} next. ${payload.step} of ${payload.of} pressed.`);
+    }, { signal: controller.signal });
+
+    buttons.forEach((button, item) => button.addEventListener('click', (e) => {
+      if (!e.isTrusted || waiting) return;
+      button.setAttribute('aria-pressed', 'true');
+      press(item, e.detail === 0);
+    }));
+    restart.addEventListener('click', () => press(null, false));
+    skip.addEventListener('click', () => finish(null));
+    panel.addEventListener('keydown', (e) => { if (e.key === 'Escape') finish(null); });
+  });
+}
+
+/**
+ * Register vector-sw.js and wait until it controls this page. False
+ * where that can't happen: no service worker support, file://, private
+ * windows and webviews that refuse the registration.
+ */
+async function installServiceWorker() {
+  if (!('serviceWorker' in navigator) || location.protocol === 'file:') return false;
+
+  try {
+    await navigator.serviceWorker.register('./vector-sw.js', { scope: './', type: 'module' });
+
+    // Wait for SW to be ready
+    await navigator.serviceWorker.ready;
+
+    // It only listens to pages it controls - on a first visit, that is
+    // once activate has claimed us
+    if (!navigator.serviceWorker.controller) {
+      await new Promise(resolve => navigator.serviceWorker.addEventListener('controllerchange', resolve, { once: true }));
+    }
+    return !!navigator.serviceWorker.controller;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ask each new vector-sw.js to take over once it has installed, rather
+ * than wait for every tab to close. It reads the state the old one left
+ * and tells app.js (version-changed); one on another protocol refuses.
+ */
+async function watchForUpdates() {
+  const registration = await navigator.serviceWorker.getRegistration('./');
+  if (!registration) return;
+
+  const callIn = (worker) => worker?.postMessage({ v: PROTOCOL_VERSION, type: 'skip-waiting' });
+  callIn(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed') callIn(worker);
     });
-    observer.observe(hoverStatus, { attributes: true, attributeFilter: ['style', 'class'] });
+  });
+}
+
+// ========== FEATURE MODULES ==========
+
+// Gated modules (search.js, editor.js...) load as the SW reports their
+// unlock in `modules`, and are torn down when it is revoked. A feature
+// module exports:
+//
+//   mount(container, state)   required - may be async, and called again after unmount
+//   unmount(container)        on revocation; the container is removed after
+//   update(state)             on every state change while mounted
+//   dependencies              other feature modules (['./content.js']): mounted
+//                             first, and revoking one takes this down too
+//   container                 selector to mount under - default app.js's #features
+//
+// Each gets a fresh element of its own under its container. The stage
+// module (app.js) takes the same `container`, by default the page's #app.
+const features = new Map(); // module URL -> { module, element, dependencies }, in mount order
+let featureQueue = Promise.resolve();
+
+/**
+ * Run `task` after whatever the loader is doing - loads and teardowns
+ * never interleave
+ */
+function queueFeatures(task) {
+  featureQueue = featureQueue.then(task).catch(() => {}); // Reveal nothing
+  return featureQueue;
+}
+
+/**
+ * A stage module from load-stage (app.js) - the page everything else mounts into
+ */
+async function loadStage({ module: path, state }) {
+  const module = await import(path);
+  module.mount?.(hostFor(module, '#app'), state);
+}
+
+/**
+ * Bring the mounted features in line with `paths` (state.modules)
+ */
+async function syncFeatures(paths, state) {
+  if (!Array.isArray(paths)) return;
+  const wanted = new Set(paths.map(path => new URL(path, import.meta.url)).filter(url => url.origin === location.origin).map(url => url.href));
+
+  // Revoked, or standing on something revoked: dependents first
+  const dropped = new Set();
+  for (const [url, feature] of features) {
+    if (!wanted.has(url) || feature.dependencies.some(d => dropped.has(d))) dropped.add(url);
   }
+  for (const url of [...features.keys()].reverse()) {
+    if (dropped.has(url)) await unmountFeature(url);
+  }
+
+  for (const feature of features.values()) feature.module.update?.(state);
 
-  // Watch for scroll progress
-  let scrollReported = false;
-  window.addEventListener('scroll', () => {
-    if (scrollReported) return;
-    const scrolled = window.scrollY / (document.body.scrollHeight - window.innerHeight);
-    if (scrolled > 0.8) {
-      callback('scroll', true);
-      scrollReported = true;
+  // New ones: each mounts once what it depends on is up. A 204 from the
+  // gate, or no mount(), is no feature.
+  const loading = [...wanted].filter(url => !features.has(url));
+  const pending = new Map(await Promise.all(loading.map(async url => [url, await import(url).catch(() => null)])));
+  let mounted = true;
+  while (mounted) {
+    mounted = false;
+    for (const [url, module] of pending) {
+      const dependencies = (module?.dependencies || []).map(d => new URL(d, url).href);
+      if (module?.mount && !dependencies.every(d => features.has(d))) continue;
+
+      pending.delete(url);
+      if (module?.mount) mounted = await mountFeature(url, module, dependencies, state) || mounted;
     }
-  }, { passive: true });
+  }
+}
+
+async function mountFeature(url, module, dependencies, state) {
+  const host = hostFor(module, '#features');
+  const element = document.createElement('section');
+  element.dataset.feature = new URL(url).pathname.split('/').pop().replace(/\.js$/, '');
+  host.append(element);
+
+  try {
+    await module.mount(element, state);
+  } catch {
+    element.remove();
+    return false;
+  }
+  features.set(url, { module, element, dependencies });
+  return true;
+}
+
+async function unmountFeature(url) {
+  const { module, element } = features.get(url);
+  features.delete(url);
+  try {
+    await module.unmount?.(element);
+  } catch {
+    // Down either way
+  }
+  element.remove();
+}
+
+/**
+ * Where a module mounts: the `container` it names, else `fallback`, else
+ * the body
+ */
+function hostFor(module, fallback) {
+  return (module.container && document.querySelector(module.container)) || document.querySelector(fallback) || document.body;
 }
 
 (async () => {
@@ -86,6 +485,12 @@ function observeCSSGates(callback) {
   // Read CSS Layer 0 signals
   const cssSignals = readCSSGates();
 
+  // Watch the gates from now on - the SW is seconds away and people
+  // don't wait for it. Reports queue until the handshake.
+  const gateReports = [];
+  let reportGate = (gate, evidence) => gateReports.push([gate, evidence]);
+  observeCSSGates((gate, evidence) => reportGate(gate, evidence));
+
   // Stage 1: Instant signals (no fingerprinting yet - just obvious tells)
   const signals = {
     // CSS Layer 0 results
@@ -112,7 +517,13 @@ function observeCSSGates(callback) {
   const autoScore = Object.values(signals).filter(Boolean).length;
   if (autoScore >= 2) return;
 
-  // Stage 2: Load vector-gate module (WASM in production, JS polyfill for now)
+  // Keyboard and assistive technology users can't do what the
+  // behavioral challenge watches for - note it before and after init
+  let assistive = false;
+  let reportAssistive = () => { assistive = true; };
+  watchInputMode(() => reportAssistive());
+
+  // Stage 2: Load vector-gate module (WASM core, JS fallback)
   let VectorGate;
   try {
     // Try WASM first
@@ -128,69 +539,151 @@ function observeCSSGates(callback) {
 
   // Stage 3: Deep fingerprint (harder to detect than inline JS)
   const vector = await gate.fingerprint();
-  const organic = await gate.attest(vector);
+  const organic = await gate.attest(vector, cssSignals);
 
-  // Threshold 1: Minimum organic score to continue
-  if (organic < 0.3) return; // Silent exit - reveal nothing
+  // Threshold 1: Minimum organic score to continue. A privacy-hardened
+  // browser's fingerprint says little either way - it goes on, and the
+  // SW asks it for work instead.
+  if (organic < 0.3 && !gate.hardened) return; // Silent exit - reveal nothing
 
-  // Stage 4: Install the service worker (the real brain)
-  if (!('serviceWorker' in navigator)) return;
+  // Stage 4: Install the service worker (the real brain). Where there
+  // can't be one, the gate runs in the page instead (page-gate.js) - less
+  // sure of itself, and it says so. Not from file://: browsers won't
+  // fetch the policy or app.js from disk, and no server holds files back.
+  if (!(await installServiceWorker())) {
+    if (location.protocol === 'file:') return; // Silent exit - reveal nothing
+    document.documentElement.dataset.gateMode = 'page';
+    try {
+      const { startPageMode } = await import('./page-gate.js');
+      await startPageMode({
+        gate,
+        organic,
+        onProgress: showProgress,
+        onSettled: hideProgress,
+        onState: (state) => queueFeatures(() => syncFeatures(state.modules, state))
+      });
+    } catch {
+      // Silent failure - reveal nothing
+    }
+    return;
+  }
+  document.documentElement.dataset.gateMode = 'service-worker';
 
   try {
-    const reg = await navigator.serviceWorker.register('./vector-sw.js', { scope: './' });
-
-    // Wait for SW to be ready
-    await navigator.serviceWorker.ready;
-
-    // Stage 5: Handshake with SW
-    const active = reg.active || reg.installing || reg.waiting;
-    if (active) {
-      active.postMessage({
+    // Stage 5: Handshake with SW. Later messages go to whichever worker
+    // controls us then - an update can take over mid-session.
+    const active = () => navigator.serviceWorker.controller;
+    if (active()) {
+      active().postMessage({
+        v: PROTOCOL_VERSION,
         type: 'init',
+        session: getSessionToken(),
         vector: Array.from(vector),
         organic,
         signals,
         cssSignals,
+        findings: gate.findings, // Failed consistency checks - the SW scores them
+        privacy: gate.privacy,   // Anti-fingerprinting seen - the SW offers harder work instead
+        assistive,               // Keyboard or screen reader - the SW asks for the sequence task
         timestamp: Date.now()
       });
     }
+    reportAssistive = () => active()?.postMessage({ v: PROTOCOL_VERSION, type: 'assistive' });
 
-    // Stage 5.5: Observe CSS gate completions and report to SW
-    observeCSSGates((gateType, passed) => {
-      if (active && passed) {
-        active.postMessage({
-          type: 'css-gate-complete',
-          gate: gateType,
-          timestamp: Date.now()
-        });
-      }
+    // Stage 5.5: Report CSS gate evidence to SW - queued, then as it comes
+    reportGate = (gate, evidence) => active()?.postMessage({
+      v: PROTOCOL_VERSION,
+      type: 'css-gate-complete',
+      gate,
+      evidence,
+      timestamp: Date.now()
     });
+    gateReports.splice(0).forEach(([gate, evidence]) => reportGate(gate, evidence));
+
+    // Stage 5.6: Call in updates to the SW as they install
+    watchForUpdates();
 
     // Stage 6: Listen for SW instructions
+    let powController = null;
+    let announced = false; // Only say it's done if we said it started
+    addEventListener('pagehide', () => powController?.abort());
+
     navigator.serviceWorker.addEventListener('message', async (event) => {
-      const { type, payload } = event.data || {};
+      const { v, type, payload } = event.data || {};
+      if (v !== PROTOCOL_VERSION) return; // Another version's SW - wait for the update
 
       switch (type) {
         case 'load-stage':
-          // SW tells us what to load next
+          // SW tells us what to load next - then the features it holds
           if (payload?.module) {
-            const module = await import(payload.module);
-            if (module.mount && payload.container) {
-              const container = document.body;
-              module.mount(container, payload.state);
-            }
+            queueFeatures(async () => {
+              await loadStage(payload);
+              await syncFeatures(payload.state?.modules, payload.state);
+            });
           }
           break;
 
-        case 'challenge':
+        case 'state':
+          queueFeatures(() => syncFeatures(payload?.modules, payload));
+          break;
+
+        case 'version-changed':
+          // A new SW took over - its policy may hold other modules
+          queueFeatures(() => syncFeatures(payload?.state?.modules, payload?.state));
+          break;
+
+        case 'challenge': {
           // SW requests additional attestation
-          const result = await gate.challenge(payload);
-          active.postMessage({ type: 'challenge-response', payload: result });
+          let options = {};
+          if (payload?.type === 'pow') {
+            // A newer puzzle replaces one still being solved
+            powController?.abort();
+            powController = new AbortController();
+            options = {
+              signal: powController.signal,
+              onProgress: ({ hashes, expected }) => showProgress(hashes / expected)
+            };
+            announce('Verifying your browser. This can take a few seconds.');
+            announced = true;
+          }
+          if (payload?.type === 'sequence') {
+            announce('A quick check needs you: press the buttons in the order given.');
+            announced = true;
+          }
+
+          // The sequence task is ours to show; the rest is VectorGate's
+          const result = payload?.type === 'sequence' && payload.data
+            ? await runSequence(payload, (item, key) => active()?.postMessage({
+              v: PROTOCOL_VERSION, type: 'sequence-step', payload: { id: payload.id, item, key }
+            }))
+            : await gate.challenge(payload, options);
+          if (payload?.type === 'pow') {
+            if (options.signal.aborted) break;
+            hideProgress();
+          }
+
+          // Answer even a failure (null) so the SW can retry or escalate
+          active()?.postMessage({ v: PROTOCOL_VERSION, type: 'challenge-response', payload: { id: payload?.id, type: payload?.type, result } });
           break;
+        }
 
         case 'unlock':
           // SW grants access to new features
           console.debug('[gate] Unlocked:', payload?.features);
+          if (announced) announce('Verified.');
+          announced = false;
+          queueFeatures(() => syncFeatures(payload?.modules, payload));
+          break;
+
+        case 'revoke':
+          // Attestations expired - SW follows up with challenges to re-earn
+          console.debug('[gate] Revoked:', payload?.features);
+          queueFeatures(() => syncFeatures(payload?.modules, payload));
+          break;
+
+        case 'error':
+          // SW refused one of our messages
+          console.debug('[gate] Refused:', payload?.replyTo, payload?.code, payload?.detail || '');
           break;
       }
     });
@@ -0,0 +1,513 @@
+/**
+ * organic-model.js - Organic Score Model
+ * Scores sessions from serialized weights (organic-model.json) instead
+ * of hand-tuned rules. Feature extraction lives here so training
+ * (train-model.js) and scoring (vector-gate.js, vector-sw.js) can't
+ * drift apart. The hand-tuned rules it replaced live here too, as the
+ * fallback when it can't load - or is a placeholder (activeModels()).
+ * No DOM, no dependencies.
+ *
+ * Both can explain a score: { score, signals: [{ source, value, delta }] }
+ * where the deltas add up to the score, so the SW can show what moved it.
+ *
+ * {
+ *   "version": 1,                // Model format - must be MODEL_VERSION
+ *   "revision": 2,               // Bump on every change; older revisions are ignored
+ *   "models": {
+ *     "fingerprint": {           // One per scorer in FEATURES
+ *       "kind": "logistic",      // Key of SCORERS
+ *       "features": ["variance", "zeros"],
+ *       "weights": [9.1, -4.2],  // Per feature, on raw feature values
+ *       "bias": 0.3,
+ *       "output": [0, 0.8]       // Probability 0-1 maps onto this range
+ *     }
+ *   },
+ *   "trained": { ... }           // Free-form: data, date, AUC. { placeholder: true }
+ *                                // until train-model.js has run: the rules score instead
+ * }
+ */
+
+export const MODEL_VERSION = 1;
+
+// ========== FEATURES ==========
+
+// Every feature a model may use, by scorer. Values are computed from
+// untrusted input, so each is finite whatever arrives.
+export const FEATURES = {
+  // Input: { vector, cssSignals } - the 128-d fingerprint and readCSSGates()
+  fingerprint: {
+    variance: ({ vector }) => variance(vector),
+    zeros: ({ vector }) => fraction(vector, v => v === 0),
+    uniform: ({ vector }) => {
+      const median = [...vector].sort((a, b) => a - b)[Math.floor(vector.length / 2)] ?? 0;
+      return fraction(vector, v => Math.abs(v - median) < 0.01);
+    },
+    timingEntropy: ({ vector }) => entropy(Array.from(vector.slice(64, 80))),
+    mediaCount: ({ cssSignals }) => clamp((cssSignals?.mediaCount || 0) / 6),
+    timeGate: ({ cssSignals }) => (cssSignals?.timeGate ? 1 : 0)
+  },
+
+  // Input: a behavioral challenge result { mouseMovements, scrollEvents, keyPresses }
+  behavioral: {
+    mouseCount: ({ mouseMovements }) => Math.log1p(mouseMovements?.length || 0),
+    mouseSpeedVariance: ({ mouseMovements }) => {
+      const speeds = [];
+      for (let i = 1; i < (mouseMovements?.length || 0); i++) {
+        const a = mouseMovements[i - 1];
+        const b = mouseMovements[i];
+        speeds.push(Math.hypot(b.x - a.x, b.y - a.y) / Math.max(1, b.t - a.t));
+      }
+      return Math.log1p(variance(speeds));
+    },
+    scrollCount: ({ scrollEvents }) => Math.log1p(scrollEvents?.length || 0),
+    scrollVariance: ({ scrollEvents }) => {
+      const deltas = [];
+      for (let i = 1; i < (scrollEvents?.length || 0); i++) deltas.push(scrollEvents[i].y - scrollEvents[i - 1].y);
+      return Math.log1p(variance(deltas));
+    },
+    keyCount: ({ keyPresses }) => Math.log1p(keyPresses?.length || 0),
+    active: ({ mouseMovements, scrollEvents, keyPresses }) =>
+      (mouseMovements?.length || scrollEvents?.length || keyPresses?.length ? 1 : 0)
+  },
+
+  // Input: the same result's touches [{ id, type, phase, x, y, t, pressure, width, height }]
+  touch: {
+    strokes: ({ touches }) => Math.log1p(count(touches, p => p.phase === 'down')),
+    touchSpeedVariance: ({ touches }) => Math.log1p(variance(strokeSpeeds(touches))),
+    pressureVariance: ({ touches }) => variance((touches || []).map(p => p.pressure)),
+    radiusVariance: ({ touches }) => Math.log1p(variance(contactSizes(touches))),
+    multiTouch: ({ touches }) => (maxContacts(touches) > 1 ? 1 : 0),
+    pen: ({ touches }) => (touches?.some(p => p.type === 'pen') ? 1 : 0)
+  },
+
+  // Input: the same result's keystrokes [{ down, up }] - times only, no keys
+  keystrokes: {
+    keystrokeCount: ({ keystrokes }) => Math.log1p(keystrokes?.length || 0),
+    dwellVariance: ({ keystrokes }) => Math.log1p(variance(dwells(keystrokes))),
+    flightVariance: ({ keystrokes }) => Math.log1p(variance(flights(keystrokes))),
+    rollover: ({ keystrokes }) => fraction(flights(keystrokes), f => f < 0)
+  }
+};
+
+/**
+ * Feature values for one model, in the model's order
+ */
+export function extractFeatures(model, input) {
+  return model.features.map(name => {
+    const value = model.extractors[name](input);
+    return Number.isFinite(value) ? value : 0;
+  });
+}
+
+// ========== SCORING ==========
+
+// How each model kind turns features into a 0-1 probability. Add a kind
+// here (and a trainer in train-model.js) to plug in another model.
+export const SCORERS = {
+  logistic: {
+    check(model, fail) {
+      if (!isNumberArray(model.weights) || model.weights.length !== model.features.length) {
+        fail('weights: expected one number per feature');
+      }
+      if (!Number.isFinite(model.bias)) fail('bias: expected a number');
+    },
+    predict(model, x) {
+      const z = x.reduce((sum, value, i) => sum + value * model.weights[i], model.bias);
+      return 1 / (1 + Math.exp(-z));
+    },
+    // Probability with no features, and each feature's share of the rest.
+    // Shares follow the logit terms, scaled by the sigmoid's average slope
+    // between bias and z - bounded even when the terms cancel out.
+    attribute(model, x) {
+      const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+      const terms = x.map((value, i) => value * model.weights[i]);
+      const sum = terms.reduce((a, b) => a + b, 0);
+      const base = sigmoid(model.bias);
+      const slope = Math.abs(sum) > 1e-9
+        ? (sigmoid(model.bias + sum) - base) / sum
+        : base * (1 - base);
+      return { base, deltas: terms.map(term => term * slope) };
+    }
+  }
+};
+
+/**
+ * Score `input` with one compiled model: its probability mapped onto
+ * the model's output range
+ */
+export function score(model, input) {
+  const p = SCORERS[model.kind].predict(model, extractFeatures(model, input));
+  const [low, high] = model.output;
+  return low + p * (high - low);
+}
+
+/**
+ * score() with the share each feature had in it, plus the bias as `base`
+ */
+export function explain(model, input) {
+  const x = extractFeatures(model, input);
+  const { base, deltas } = SCORERS[model.kind].attribute(model, x);
+  const [low, high] = model.output;
+  const range = high - low;
+
+  return {
+    score: score(model, input),
+    signals: [
+      { source: 'base', value: null, delta: low + base * range },
+      ...model.features.map((feature, i) => ({ source: feature, value: x[i], delta: deltas[i] * range }))
+    ]
+  };
+}
+
+/**
+ * Probability of "human" alone, for training and evaluation
+ */
+export function probability(model, input) {
+  return SCORERS[model.kind].predict(model, extractFeatures(model, input));
+}
+
+// ========== RULES ==========
+
+/**
+ * The fingerprint rules the model replaced: VectorGate.heuristicScore()
+ * on the page, and the SW when organic-model.json won't load
+ */
+export function fingerprintRules(vector) {
+  const rules = [];
+  const rule = (source, value, hit, delta) => rules.push({ source, value, delta: hit ? delta : 0 });
+
+  // Natural variance is good
+  const spread = variance(vector);
+  rule('variance', spread, spread > 0.1, 0.1);
+
+  // Too many zeros = suspicious
+  const zeros = vector.filter(v => v === 0).length;
+  rule('zeros', zeros, zeros > vector.length * 0.3, -0.2);
+
+  // Too uniform = bot-like
+  const median = [...vector].sort((a, b) => a - b)[Math.floor(vector.length / 2)];
+  const nearMedian = vector.filter(v => Math.abs(v - median) < 0.01).length;
+  rule('uniform', nearMedian, nearMedian > vector.length * 0.5, -0.15);
+
+  // Good timing entropy
+  const timingEntropy = entropy(Array.from(vector.slice(64, 80)));
+  rule('timingEntropy', timingEntropy, timingEntropy > 3, 0.1);
+
+  return settle(0.5, rules, 1);
+}
+
+/**
+ * The behavioral rules the model replaced, for when it can't load
+ */
+export function behavioralRules({ mouseMovements, scrollEvents, keyPresses }) {
+  const rules = [];
+  const rule = (source, value, hit, delta) => rules.push({ source, value, delta: hit ? delta : 0 });
+
+  // Natural mouse has varied speeds and directions
+  if (mouseMovements?.length > 5) {
+    const speeds = [];
+    for (let i = 1; i < mouseMovements.length; i++) {
+      const a = mouseMovements[i - 1];
+      const b = mouseMovements[i];
+      speeds.push(Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2) / Math.max(1, b.t - a.t));
+    }
+    const speedVariance = variance(speeds);
+    rule('mouseSpeedVariance', speedVariance, speedVariance > 0.1, 0.05);
+  }
+
+  // Natural scrolling comes in uneven steps
+  if (scrollEvents?.length > 2) {
+    const deltas = [];
+    for (let i = 1; i < scrollEvents.length; i++) deltas.push(scrollEvents[i].y - scrollEvents[i - 1].y);
+    const scrollVariance = variance(deltas);
+    rule('scrollVariance', scrollVariance, scrollVariance > 100, 0.03);
+  }
+
+  // Some activity is good
+  const active = mouseMovements?.length > 0 || scrollEvents?.length > 0 || keyPresses?.length > 0;
+  rule('active', active ? 1 : 0, active, 0.02);
+
+  return settle(0, rules, Infinity);
+}
+
+/**
+ * Rules for touch and pen, for when the touch model can't load
+ */
+export function touchRules({ touches }) {
+  const rules = [];
+  const rule = (source, value, hit, delta) => rules.push({ source, value, delta: hit ? delta : 0 });
+
+  // Fingers speed up and slow down along a swipe
+  const speedVariance = variance(strokeSpeeds(touches));
+  rule('touchSpeedVariance', speedVariance, speedVariance > 0.05, 0.05);
+
+  // Real contacts change pressure or size as they move
+  const pressure = variance((touches || []).map(p => p.pressure));
+  const radius = variance(contactSizes(touches));
+  rule('contactVariance', pressure + radius, pressure > 0 || radius > 0, 0.03);
+
+  // Pinch and two-finger gestures
+  const contacts = maxContacts(touches);
+  rule('multiTouch', contacts, contacts > 1, 0.02);
+
+  return settle(0, rules, Infinity);
+}
+
+/**
+ * Rules for keystroke dynamics, for when the keystrokes model can't load
+ */
+export function keystrokeRules({ keystrokes }) {
+  const rules = [];
+  const rule = (source, value, hit, delta) => rules.push({ source, value, delta: hit ? delta : 0 });
+
+  // People hold keys for uneven times (ms^2: ~10ms spread)...
+  const dwellVariance = variance(dwells(keystrokes));
+  rule('dwellVariance', dwellVariance, dwellVariance > 100, 0.04);
+
+  // ...and reach for the next one unevenly (~30ms spread)
+  const flightVariance = variance(flights(keystrokes));
+  rule('flightVariance', flightVariance, flightVariance > 1000, 0.04);
+
+  // Typists press the next key before releasing the last
+  const rollover = fraction(flights(keystrokes), f => f < 0);
+  rule('rollover', rollover, rollover > 0, 0.02);
+
+  return settle(0, rules, Infinity);
+}
+
+// ========== BEHAVIORAL ==========
+
+// Ways a person shows up in the behavioral challenge, each scored by its
+// own model or rules. The best one counts, so phones and keyboard-only
+// users can earn as much as a mouse.
+export const MODALITIES = [
+  { name: 'mouse', model: 'behavioral', rules: behavioralRules,
+    present: r => r.mouseMovements?.length > 0 || r.scrollEvents?.length > 0 || r.keyPresses?.length > 0 },
+  { name: 'touch', model: 'touch', rules: touchRules, present: r => r.touches?.length > 0 },
+  { name: 'keyboard', model: 'keystrokes', rules: keystrokeRules, present: r => r.keystrokes?.length > 0 }
+];
+
+/**
+ * Score a behavioral challenge result by its best modality. `models` is
+ * activeModels() of a compiled model, or null for the rules. Returns
+ * { score, by, modality, signals } - the counted modality's signals,
+ * then the others' scores at no delta.
+ */
+export function behavioralScore(models, result) {
+  const present = MODALITIES.filter(m => m.present(result));
+
+  // Nothing happened at all: the mouse scorer says how little that is
+  const scored = (present.length ? present : MODALITIES.slice(0, 1)).map(m => {
+    const scorer = models?.[m.model];
+    return { name: m.name, by: scorer ? 'model' : 'rules', ...(scorer ? explain(scorer, result) : m.rules(result)) };
+  });
+  const best = scored.reduce((a, b) => (b.score > a.score ? b : a));
+
+  return {
+    score: best.score,
+    by: best.by,
+    modality: best.name,
+    signals: [
+      ...best.signals.map(s => ({ ...s, source: `${best.name}:${s.source}` })),
+      ...scored.filter(m => m !== best).map(m => ({ source: `${m.name}:not-counted`, value: m.score, delta: 0 }))
+    ]
+  };
+}
+
+/**
+ * Most a behavioral result can score: the widest modality's range
+ */
+export function behavioralMax(models, fallback) {
+  return Math.max(...MODALITIES.map(m => models?.[m.model]?.output[1] ?? fallback));
+}
+
+/**
+ * Add rule deltas to a base in order, clamp, and say so if clamping moved it
+ */
+function settle(base, rules, max) {
+  let total = base;
+  for (const r of rules) total += r.delta;
+  const score = Math.max(0, Math.min(max, total));
+
+  const signals = [{ source: 'base', value: null, delta: base }, ...rules];
+  if (score !== total) signals.push({ source: 'clamp', value: null, delta: score - total });
+  return { score, signals };
+}
+
+// ========== VALIDATION ==========
+
+/**
+ * Check a parsed organic-model.json. Returns { ok: true, model } with
+ * extractors bound and everything frozen, or { ok: false, errors }.
+ * A placeholder compiles too, for train-model.js to evaluate - see
+ * activeModels() before scoring with it.
+ */
+export function compileModel(json) {
+  const errors = [];
+  const fail = (message) => errors.push(message);
+
+  if (!isObject(json)) return { ok: false, errors: ['model: not an object'] };
+  if (json.version !== MODEL_VERSION) fail(`version: expected ${MODEL_VERSION}`);
+  if (json.revision !== undefined && !(Number.isSafeInteger(json.revision) && json.revision >= 0)) {
+    fail('revision: expected a non-negative integer');
+  }
+  if (!isObject(json.models)) return { ok: false, errors: [...errors, 'models: expected an object'] };
+
+  const models = {};
+  for (const [name, spec] of Object.entries(json.models)) {
+    const at = `models.${name}`;
+    const known = FEATURES[name];
+    if (!known) {
+      fail(`${at}: no such scorer`);
+      continue;
+    }
+    if (!isObject(spec)) {
+      fail(`${at}: not an object`);
+      continue;
+    }
+
+    const scorer = SCORERS[spec.kind];
+    if (!scorer) fail(`${at}.kind: expected one of ${Object.keys(SCORERS).join(', ')}`);
+
+    if (!Array.isArray(spec.features) || !spec.features.length) {
+      fail(`${at}.features: expected a non-empty array`);
+      continue;
+    }
+    spec.features.forEach((feature, i) => {
+      if (!Object.hasOwn(known, feature)) fail(`${at}.features[${i}]: unknown feature "${feature}"`);
+    });
+
+    const output = spec.output ?? [0, 1];
+    if (!isNumberArray(output) || output.length !== 2 || output[0] > output[1]) {
+      fail(`${at}.output: expected [low, high]`);
+    }
+
+    scorer?.check(spec, (message) => fail(`${at}.${message}`));
+
+    models[name] = Object.freeze({
+      kind: spec.kind,
+      features: Object.freeze([...spec.features]),
+      weights: Object.freeze([...(spec.weights || [])]),
+      bias: spec.bias,
+      output: Object.freeze([...output]),
+      extractors: known
+    });
+  }
+
+  if (errors.length) return { ok: false, errors };
+
+  return {
+    ok: true,
+    model: Object.freeze({
+      version: json.version,
+      revision: json.revision ?? 0,
+      placeholder: json.trained?.placeholder === true,
+      models: Object.freeze(models)
+    })
+  };
+}
+
+/**
+ * The models to score with: a compiled model's, unless it is a
+ * placeholder - hand-set weights with no data behind them are no better
+ * than the rules they were set from, and the rules can say why. Null
+ * means the rules.
+ */
+export function activeModels(model) {
+  return model && !model.placeholder ? model.models : null;
+}
+
+// ========== UTILITIES ==========
+
+function variance(values) {
+  if (!values.length) return 0;
+  let mean = 0;
+  for (const v of values) mean += v;
+  mean /= values.length;
+  let sum = 0;
+  for (const v of values) sum += (v - mean) ** 2;
+  return sum / values.length;
+}
+
+function count(values, predicate) {
+  let n = 0;
+  for (const v of values || []) if (predicate(v)) n++;
+  return n;
+}
+
+// Speed between consecutive moves of the same contact, px/ms
+function strokeSpeeds(touches) {
+  const last = new Map();
+  const speeds = [];
+  for (const p of touches || []) {
+    const previous = last.get(p.id);
+    if (p.phase !== 'down' && previous) {
+      speeds.push(Math.hypot(p.x - previous.x, p.y - previous.y) / Math.max(1, p.t - previous.t));
+    }
+    if (p.phase === 'up') last.delete(p.id);
+    else last.set(p.id, p);
+  }
+  return speeds;
+}
+
+// Contact diameter, px - 0 or 1 where the device doesn't report it
+function contactSizes(touches) {
+  return (touches || []).map(p => (p.width + p.height) / 2);
+}
+
+// Most contacts down at once
+function maxContacts(touches) {
+  const down = new Set();
+  let most = 0;
+  for (const p of touches || []) {
+    if (p.phase === 'up') down.delete(p.id);
+    else down.add(p.id);
+    most = Math.max(most, down.size);
+  }
+  return most;
+}
+
+// How long each key was held, ms
+function dwells(keystrokes) {
+  return (keystrokes || []).map(k => k.up - k.down);
+}
+
+// From one key's release to the next key's press, ms - negative when
+// the next was pressed first
+function flights(keystrokes) {
+  const times = [];
+  for (let i = 1; i < (keystrokes?.length || 0); i++) times.push(keystrokes[i].down - keystrokes[i - 1].up);
+  return times;
+}
+
+function entropy(values) {
+  if (!values.length) return 0;
+  const counts = {};
+  for (const v of values) {
+    const bin = Math.floor(v * 10);
+    counts[bin] = (counts[bin] || 0) + 1;
+  }
+  return Object.values(counts).reduce((sum, count) => {
+    const p = count / values.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+function fraction(values, predicate) {
+  if (!values.length) return 0;
+  let count = 0;
+  for (const v of values) if (predicate(v)) count++;
+  return count / values.length;
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNumberArray(value) {
+  return Array.isArray(value) && value.every(Number.isFinite);
+}
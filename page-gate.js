@@ -0,0 +1,282 @@
+/**
+ * page-gate.js - Page Mode
+ * The gate for pages that can't have a service worker: browsers without
+ * one, private windows that refuse the registration, embedded webviews.
+ * Runs the SW's stage and unlock logic in the page, and carries its
+ * progress to the server in a capability cookie, which server.js checks
+ * like the SW's header.
+ *
+ * Weaker by construction - nothing stands between the page and its own
+ * score, so the server-side check is what bounds it: server.js grants a
+ * page what it verified itself (provenStage() in gate-policy.js). The
+ * page's key gets the first stage; the proof of work, set and checked by
+ * the server, takes it through the pow stage. Email, passkey and
+ * attestation need the SW, or a key the server enrolled - page mode shows
+ * them locked, and which mode it is in.
+ *
+ * Progress the server signed survives a reload: its receipt for the
+ * work, kept in sessionStorage for the next key to present. What the
+ * page measured itself is measured again. Gated files are only held back
+ * where server.js (or your backend) is. Not from file://: there is no
+ * server, and nothing to fetch from.
+ */
+
+import { CAPABILITY_COOKIE, PROOF_PATH, generateSigningKey, mintCapability, proveSigningKey } from './capability.js';
+import { attestationLifetime, compilePolicy, modulesFor, provenStage, stageFor, unlocksThrough } from './gate-policy.js';
+import { activeModels, behavioralScore } from './organic-model.js';
+
+const POLICY_URL = new URL('./gate-policy.json', import.meta.url);
+const PROOF_URL = new URL(`./${PROOF_PATH}`, import.meta.url);
+const CAPABILITY_TTL = 5 * 60;             // seconds, as the SW's
+const CAPABILITY_REFRESH = 60 * 1000;      // re-mint when this close to expiry
+
+const RECEIPT_KEY = 'squatch-page-receipt'; // sessionStorage: the server's receipt for our work
+
+// Without a policy to say otherwise, attestations count this long
+const DEFAULT_LIFETIME = 30 * 60 * 1000;
+
+// The SW's ladder, less what only it can judge: each kind once, in order.
+// The proof of work is the server's (proveSigningKey() at level 'pow').
+const LADDER = ['behavioral', 'pow'];
+const POW_BOOST = 0.1;
+const BEHAVIORAL_DURATION = 5000;
+const FIRST_CHALLENGE_DELAY = 3000;
+
+/**
+ * Run the gate in the page. `gate` is the page's VectorGate, `organic`
+ * its fingerprint score. Mounts app.js once the server lets it load, then
+ * works up the ladder. Changes are dispatched on window as 'squatch-state'.
+ *
+ * options: { onProgress(fraction), onSettled() } for the proof of work,
+ * onState(state) on every change once app.js is mounted - for gate.js's
+ * feature modules
+ */
+export async function startPageMode({ gate, organic, onProgress, onSettled, onState } = {}) {
+  const policy = await loadPolicy();
+  const session = {
+    policy,
+    key: await generateSigningKey(),
+    attestations: [],
+    organic: 0,
+    stage: 0,
+    unlocked: [],
+    level: null,
+    mounted: false,
+    capability: null,
+    onState: null
+  };
+
+  // The server only trusts a key that solved one of its challenges - and
+  // hands the work done under the last key to this one
+  const proven = await proveSigningKey(session.key, PROOF_URL.href, {
+    audience: location.origin,
+    receipt: readReceipt()
+  }).catch(() => null);
+  const restored = proved(session, proven);
+  if (restored) session.attestations.push(restored);
+
+  session.attestations.push({ type: 'fingerprint', boost: organic, timestamp: Date.now() });
+  await update(session);
+
+  // Refresh the cookie while the page stays open
+  setInterval(() => refreshCapability(session), CAPABILITY_REFRESH);
+
+  // Below the first stage (a hardened browser, say) app.js waits for the
+  // ladder, as the SW's load-stage does
+  await mount(session);
+  session.onState = onState;
+  onState?.(publicState(session));
+
+  await new Promise(r => setTimeout(r, FIRST_CHALLENGE_DELAY));
+  for (const kind of LADDER) {
+    if (!short(session, kind)) continue;
+    const attestation = kind === 'pow'
+      ? await runPoW(gate, session, { onProgress, onSettled })
+      : await runBehavioral(gate);
+    if (attestation) {
+      session.attestations.push(attestation);
+      await update(session);
+      await mount(session);
+    }
+  }
+}
+
+/**
+ * app.js, where gate.js would mount it (see loadStage()) - once the
+ * server serves it: the first stage held, or no policy to say
+ */
+async function mount(session) {
+  if (session.mounted || (session.policy && !session.unlocked.length)) return;
+  session.mounted = true;
+  try {
+    const module = await import('./app.js');
+    const host = (module.container && document.querySelector(module.container)) || document.getElementById('app') || document.body;
+    module.mount?.(host, publicState(session));
+  } catch {
+    // The server said no - reveal nothing
+  }
+}
+
+// ========== CHALLENGES ==========
+
+async function runBehavioral(gate) {
+  const result = await gate.challenge({ type: 'behavioral', data: { duration: BEHAVIORAL_DURATION } });
+  if (!result) return null;
+
+  const { score, by, signals } = behavioralScore(activeModels(gate.model), result);
+  return { type: 'behavioral', boost: score, timestamp: Date.now(), explanation: { by, signals } };
+}
+
+/**
+ * The server's proof of work: it sets the challenge and checks the answer,
+ * so the pow stage is one it grants
+ */
+async function runPoW(gate, session, { onProgress, onSettled }) {
+  const proven = await proveSigningKey(session.key, PROOF_URL.href, {
+    audience: location.origin,
+    level: 'pow',
+    solve: async (data) => {
+      const result = await gate.challenge(
+        { type: 'pow', data },
+        { onProgress: ({ hashes, expected }) => onProgress?.(hashes / expected) }
+      );
+      return result?.nonce ?? null;
+    }
+  }).catch(() => null);
+  onSettled?.();
+
+  return proved(session, proven);
+}
+
+/**
+ * Take in what the server says our key holds. Its work counts as a pow
+ * attestation from when it was done; the receipt is kept for the next
+ * load. Returns that attestation, if any, for the caller to add.
+ */
+function proved(session, proven) {
+  if (!proven) return null;
+  session.level = proven.level;
+  if (proven.level !== 'pow') return null;
+
+  try {
+    sessionStorage.setItem(RECEIPT_KEY, proven.receipt);
+  } catch {
+    // Storage blocked - the work lasts as long as the page
+  }
+  return { type: 'pow', boost: POW_BOOST, timestamp: proven.worked };
+}
+
+function readReceipt() {
+  try {
+    return sessionStorage.getItem(RECEIPT_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Is `kind` still worth asking for - not held, and the furthest stage the
+ * server grants a page (provenStage() for 'pow') not yet reached. Without
+ * a policy there is no telling, so yes.
+ */
+function short(session, kind) {
+  if (session.attestations.some(a => a.type === kind)) return false;
+  if (!session.policy) return true;
+  const last = session.policy.stages[provenStage(session.policy, 'pow')];
+  return !!last && session.organic < last.threshold;
+}
+
+// ========== STATE ==========
+
+/**
+ * Rescore, restage, store and re-mint. Attestations past their lifetime
+ * drop out first.
+ */
+async function update(session) {
+  const now = Date.now();
+  session.attestations = session.attestations.filter(a => now < a.timestamp + lifetime(session.policy, a.type));
+
+  // The best of each type counts, as in the SW
+  const best = new Map();
+  for (const a of session.attestations) {
+    if (a.boost > (best.get(a.type)?.boost || 0)) best.set(a.type, a);
+  }
+  const total = [...best.values()].reduce((sum, a) => sum + a.boost, 0);
+  session.organic = Math.max(0, Math.min(1, total));
+
+  // What the server will grant - no stage past what it checked. Not
+  // proven (no PROOF_PATH): as a proven key, whatever the server makes of it
+  if (session.policy) {
+    const stage = Math.min(provenStage(session.policy, session.level ?? 'key'), stageFor(session.policy, session.organic));
+    session.stage = Math.max(0, stage);
+    session.unlocked = stage >= 0 ? [...new Set(unlocksThrough(session.policy, stage))] : [];
+  }
+
+  await refreshCapability(session, true);
+  dispatchEvent(new CustomEvent('squatch-state', { detail: publicState(session) }));
+  session.onState?.(publicState(session));
+}
+
+/**
+ * What app.js shows - the SW's get-state shape, plus the mode
+ */
+function publicState(session) {
+  return {
+    mode: 'page',
+    organic: session.organic,
+    stage: session.stage,
+    // No policy: the server decides what the score unlocks
+    stageName: session.policy ? session.policy.stages[session.stage]?.id || 'none' : 'server decides',
+    unlocked: [...session.unlocked],
+    // No policy: no telling which modules the server lets through
+    modules: session.policy ? modulesFor(session.policy, session.unlocked) : [],
+    attestationCount: session.attestations.length,
+    attestations: session.attestations.map(a => {
+      const expires = a.timestamp + lifetime(session.policy, a.type);
+      return { type: a.type, boost: a.boost, timestamp: a.timestamp, expires: Number.isFinite(expires) ? expires : null };
+    })
+  };
+}
+
+async function refreshCapability(session, force = false) {
+  const { capability } = session;
+  if (!force && capability && capability.expires - Date.now() > CAPABILITY_REFRESH) return;
+
+  try {
+    session.capability = await mintCapability(session.key, {
+      iss: 'squatch-page',
+      mode: 'page',
+      aud: location.origin,
+      sub: session.key.kid, // A new key each load, proven as the page starts
+      unlocks: [...session.unlocked],
+      organic: Math.round(session.organic * 1000) / 1000,
+      stage: session.stage
+    }, CAPABILITY_TTL);
+  } catch {
+    return;
+  }
+
+  const path = new URL('./', import.meta.url).pathname;
+  const secure = location.protocol === 'https:' ? '; Secure' : '';
+  document.cookie = `${CAPABILITY_COOKIE}=${session.capability.token}; Path=${path}; Max-Age=${CAPABILITY_TTL}; SameSite=Strict${secure}`;
+}
+
+// ========== POLICY ==========
+
+/**
+ * gate-policy.json, where the server lets the page read it. Null
+ * otherwise - stages are then the server's business.
+ */
+async function loadPolicy() {
+  try {
+    const response = await fetch(POLICY_URL, { cache: 'no-cache' });
+    const result = response.ok ? compilePolicy(await response.json()) : { ok: false };
+    return result.ok ? result.policy : null;
+  } catch {
+    return null;
+  }
+}
+
+function lifetime(policy, type) {
+  return policy ? attestationLifetime(policy, type) : DEFAULT_LIFETIME;
+}
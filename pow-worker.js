@@ -0,0 +1,58 @@
+/**
+ * pow-worker.js - Proof of Work Solver
+ * One of several workers splitting the nonce space: worker i of n
+ * tries i, i + n, i + 2n ... Cancelled by terminate() from the page.
+ *
+ * In:  { challenge, difficulty, start, step, expires, engine: 'js' | 'wasm' }
+ * Out: { type: 'progress', hashes } | { type: 'found', nonce, hash } | { type: 'expired' }
+ */
+
+const BUDGET = 50000;         // Nonces per synchronous slice
+const PROGRESS_INTERVAL = 100; // ms between progress reports
+
+/**
+ * The page's VectorGate says which search it uses; stick to the JS one
+ * if the WASM build fails to load here.
+ */
+async function loadSearch(engine) {
+  if (engine === 'wasm') {
+    try {
+      return (await import('./vector-gate.wasm.js')).search;
+    } catch {
+      // Fall through
+    }
+  }
+  return (await import('./pow.js')).search;
+}
+
+self.addEventListener('message', async (event) => {
+  const { challenge, difficulty, start = 0, step = 1, expires = Infinity, engine } = event.data || {};
+  const search = await loadSearch(engine);
+
+  let next = start;
+  let hashes = 0;
+  let reported = 0;
+  let lastReport = performance.now();
+
+  while (Date.now() < expires) {
+    const result = search(challenge, difficulty, { start: next, step, budget: BUDGET });
+    hashes += BUDGET;
+
+    if (result.hash) {
+      self.postMessage({ type: 'progress', hashes: hashes - reported });
+      self.postMessage({ type: 'found', nonce: result.nonce, hash: result.hash });
+      return;
+    }
+
+    next = result.next;
+
+    const now = performance.now();
+    if (now - lastReport >= PROGRESS_INTERVAL) {
+      self.postMessage({ type: 'progress', hashes: hashes - reported });
+      reported = hashes;
+      lastReport = now;
+    }
+  }
+
+  self.postMessage({ type: 'expired' });
+});
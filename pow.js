@@ -0,0 +1,181 @@
+/**
+ * pow.js - Proof of Work
+ * Synchronous, incremental SHA-256 and the nonce search built on it.
+ * Shared by pow-worker.js (solving) and vector-sw.js (verifying).
+ *
+ * Puzzle: find nonce so SHA-256(challenge + nonce) starts with
+ * `difficulty` zero bits. The nonce is written in decimal.
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const H0 = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+export class Sha256 {
+  constructor() {
+    this.state = Uint32Array.from(H0);
+    this.block = new Uint8Array(64);
+    this.blockLength = 0;
+    this.length = 0;
+    this.w = new Uint32Array(64);
+  }
+
+  /**
+   * Copy another hasher's midstate - hash a shared prefix once, reuse it
+   */
+  copyFrom(other) {
+    this.state.set(other.state);
+    this.block.set(other.block);
+    this.blockLength = other.blockLength;
+    this.length = other.length;
+    return this;
+  }
+
+  update(bytes, end = bytes.length) {
+    for (let i = 0; i < end; i++) {
+      this.block[this.blockLength++] = bytes[i];
+      if (this.blockLength === 64) {
+        this.#compress();
+        this.blockLength = 0;
+      }
+    }
+    this.length += end;
+    return this;
+  }
+
+  /**
+   * Finish and write the 32-byte digest into `out`. The hasher is spent.
+   */
+  digest(out = new Uint8Array(32)) {
+    const bitLength = this.length * 8;
+
+    this.block[this.blockLength++] = 0x80;
+    if (this.blockLength > 56) {
+      this.block.fill(0, this.blockLength);
+      this.#compress();
+      this.blockLength = 0;
+    }
+    this.block.fill(0, this.blockLength, 56);
+
+    // Length fits in 53 bits - high word via division, low word via >>> 0
+    const high = Math.floor(bitLength / 0x100000000);
+    const low = bitLength >>> 0;
+    this.block[56] = high >>> 24; this.block[57] = high >>> 16;
+    this.block[58] = high >>> 8; this.block[59] = high;
+    this.block[60] = low >>> 24; this.block[61] = low >>> 16;
+    this.block[62] = low >>> 8; this.block[63] = low;
+    this.#compress();
+
+    for (let i = 0; i < 8; i++) {
+      const v = this.state[i];
+      out[i * 4] = v >>> 24;
+      out[i * 4 + 1] = v >>> 16;
+      out[i * 4 + 2] = v >>> 8;
+      out[i * 4 + 3] = v;
+    }
+    return out;
+  }
+
+  #compress() {
+    const w = this.w;
+    const b = this.block;
+
+    for (let i = 0; i < 16; i++) {
+      w[i] = (b[i * 4] << 24) | (b[i * 4 + 1] << 16) | (b[i * 4 + 2] << 8) | b[i * 4 + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15], y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, bb, c, d, e, f, g, h] = this.state;
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & bb) ^ (a & c) ^ (bb & c);
+      const t2 = (S0 + maj) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0;
+      d = c; c = bb; bb = a; a = (t1 + t2) | 0;
+    }
+
+    const s = this.state;
+    s[0] += a; s[1] += bb; s[2] += c; s[3] += d;
+    s[4] += e; s[5] += f; s[6] += g; s[7] += h;
+  }
+}
+
+export function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Write `n` as ASCII decimal into `out`, return the byte count
+ */
+function writeDecimal(n, out) {
+  let len = 0;
+  do {
+    out[len++] = 48 + (n % 10);
+    n = Math.floor(n / 10);
+  } while (n > 0);
+  out.subarray(0, len).reverse();
+  return len;
+}
+
+/**
+ * Search nonces start, start + step, start + 2*step ...
+ * Runs synchronously for at most `budget` nonces so callers can yield,
+ * report progress or stop. Returns { nonce, hash } or { next } to resume.
+ */
+export function search(challenge, difficulty, { start = 0, step = 1, budget = 65536 } = {}) {
+  const prefix = new Sha256().update(new TextEncoder().encode(challenge));
+  const work = new Sha256();
+  const digits = new Uint8Array(20);
+  const out = new Uint8Array(32);
+
+  let nonce = start;
+  for (let i = 0; i < budget; i++, nonce += step) {
+    const len = writeDecimal(nonce, digits);
+    work.copyFrom(prefix).update(digits, len).digest(out);
+    if (leadingZeroBits(out) >= difficulty) {
+      return { nonce, hash: toHex(out) };
+    }
+  }
+
+  return { next: nonce };
+}
+
+/**
+ * Check an answer. Uses WebCrypto - no need for speed on this side.
+ */
+export async function verify(challenge, nonce, difficulty) {
+  const digest = new Uint8Array(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(challenge + nonce))
+  );
+  return leadingZeroBits(digest) >= difficulty ? toHex(digest) : null;
+}
@@ -0,0 +1,334 @@
+/**
+ * protocol.js - Message Protocol
+ * The messages pages post to vector-sw.js, and how the SW answers.
+ * Shared by the SW (validation) and the pages (version stamp).
+ * No DOM, no dependencies.
+ *
+ * Every message is { v: PROTOCOL_VERSION, type, ...fields }. The SW
+ * answers a message it can't take with
+ *
+ *   { v, type: 'error', payload: { code, replyTo, detail, id } }
+ *
+ * code is one of ERROR_CODES; replyTo is the type it refuses, id the
+ * challenge id for challenge-response. Nothing else is ever ignored.
+ *
+ * SW -> page messages are { v, type, payload }. One keeps its shape
+ * across protocol versions, so a page hears it from any worker:
+ *
+ *   { v, type: 'version-changed', payload: { version, previous, schema, state } }
+ */
+
+export const PROTOCOL_VERSION = 3;
+
+export const ERROR_CODES = [
+  'version',            // Missing or different `v`
+  'unknown-type',       // No such message
+  'malformed',          // Fields don't match the schema (detail says which)
+  'uncontrolled',       // Sender isn't a page this SW controls
+  'no-session',         // Needs `init` first
+  'unknown-challenge',  // Never issued to this session, or already answered
+  'expired',            // Issued, but answered too late
+  'implausible'         // CSS gate evidence doesn't look like a person
+];
+
+// Names shared with the SW's own tables
+export const CHALLENGE_TYPES = ['timing', 'behavioral', 'pow', 'sequence'];
+export const CSS_GATES = ['time', 'hover', 'click', 'checkbox', 'scroll', 'focus'];
+
+// Most buttons the sequence challenge shows
+export const SEQUENCE_ITEMS = 8;
+
+// What VectorGate.inconsistencies() can find, in vector order
+export const CONSISTENCY_CHECKS = [
+  'native-override',   // A native function replaced by script
+  'getter-override',   // A navigator/screen getter redefined, or moved off its prototype
+  'ua-platform',       // User agent vs navigator.platform / userAgentData
+  'ua-renderer',       // User agent vs WebGL renderer
+  'ua-cores',          // User agent vs hardwareConcurrency
+  'ua-touch',          // User agent vs touch support
+  'screen-avail'       // Available screen larger than the screen
+];
+
+// Anti-fingerprinting VectorGate can tell apart (privacy-hardened browsers)
+export const PRIVACY_SIGNALS = [
+  'canvas-varies',          // Canvas output differs between renders
+  'canvas-noise',           // A solid fill doesn't read back solid
+  'audio-varies',           // Audio output differs between renders
+  'audio-noise',            // A constant signal doesn't render constant
+  'brave',                  // Brave's farbling
+  'resist-fingerprinting'   // Firefox's placeholder canvas
+];
+
+// Behavioral challenge touch capture (mouse goes in mouseMovements)
+export const POINTER_TYPES = ['touch', 'pen'];
+export const POINTER_PHASES = ['down', 'move', 'up'];
+export const POINTER_CONTACTS = 32;
+
+// What gate.js records while a CSS gate is worked through
+export const EVIDENCE_EVENTS = ['end', 'enter', 'move', 'down', 'up', 'check', 'uncheck', 'scroll', 'key', 'focus'];
+
+// ========== SCHEMA ==========
+
+// Bounds are generous for honest clients and stop a page from making the
+// SW hash or store megabytes
+const SESSION = { type: 'string', pattern: /^[0-9a-f]{32}$/, nullable: true, optional: true };
+const TIMESTAMP = { type: 'number', min: 0 };
+const BASE64URL = (max) => ({ type: 'string', pattern: /^[A-Za-z0-9_-]*$/, max });
+const SIGNALS = { type: 'record', max: 64, values: ['boolean', 'number'] };
+
+const CHALLENGE_RESULTS = {
+  timing: { type: 'array', max: 100, items: { type: 'number', min: 0 } },
+  behavioral: {
+    type: 'object',
+    fields: {
+      mouseMovements: { type: 'array', max: 5000, optional: true, items: { type: 'object', fields: { x: { type: 'number' }, y: { type: 'number' }, t: TIMESTAMP } } },
+      scrollEvents: { type: 'array', max: 5000, optional: true, items: { type: 'object', fields: { y: { type: 'number' }, t: TIMESTAMP } } },
+      keyPresses: { type: 'array', max: 5000, optional: true, items: { type: 'object', fields: { t: TIMESTAMP } } },
+      // Touch and pen Pointer Events; id numbers the contacts in the order they went down
+      touches: {
+        type: 'array', max: 5000, optional: true,
+        items: {
+          type: 'object',
+          fields: {
+            id: { type: 'integer', min: 0, max: POINTER_CONTACTS - 1 },
+            type: { type: 'enum', values: POINTER_TYPES },
+            phase: { type: 'enum', values: POINTER_PHASES },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            t: TIMESTAMP,
+            pressure: { type: 'number', min: 0, max: 1 },
+            width: { type: 'number', min: 0, max: 1000 },
+            height: { type: 'number', min: 0, max: 1000 }
+          }
+        }
+      },
+      // Press and release times per keystroke - never which key
+      keystrokes: { type: 'array', max: 1000, optional: true, items: { type: 'object', fields: { down: TIMESTAMP, up: TIMESTAMP } } }
+    }
+  },
+  pow: {
+    type: 'object',
+    fields: {
+      challenge: BASE64URL(64),
+      nonce: { type: 'integer', min: 0 },
+      hash: { type: 'string', pattern: /^[0-9a-f]{64}$/, optional: true } // Not trusted, recomputed
+    }
+  },
+  // The accessible task, done: each press went to the SW as it happened
+  // (sequence-step), so there is nothing to report but that
+  sequence: { type: 'object', fields: {} }
+};
+
+const PROOFS = {
+  email: {
+    type: 'object',
+    fields: {
+      token: { type: 'string', max: 4096 },
+      email: { type: 'string', max: 320 },
+      verified: { type: 'boolean' }
+    }
+  },
+  passkey: {
+    type: 'object',
+    fields: {
+      credentialId: BASE64URL(1024),
+      clientDataJSON: BASE64URL(4096),
+      authenticatorData: BASE64URL(4096),
+      signature: BASE64URL(1024)
+    }
+  }
+};
+
+// Client -> SW. Fields besides `v` and `type`; `session` is allowed on all.
+export const MESSAGES = {
+  'init': {
+    vector: { type: 'array', max: 1024, items: { type: 'number', min: 0, max: 1 } },
+    organic: { type: 'number', min: 0, max: 1 },
+    signals: { ...SIGNALS, optional: true },
+    cssSignals: { ...SIGNALS, optional: true },
+    findings: { type: 'array', max: CONSISTENCY_CHECKS.length, optional: true, items: { type: 'enum', values: CONSISTENCY_CHECKS } },
+    privacy: { type: 'array', max: PRIVACY_SIGNALS.length, optional: true, items: { type: 'enum', values: PRIVACY_SIGNALS } },
+    assistive: { type: 'boolean', optional: true }, // Keyboard-first or forced colours - see 'assistive'
+    timestamp: TIMESTAMP
+  },
+  // Seen after init: the page is used by keyboard or assistive technology
+  'assistive': {},
+  'challenge-response': {
+    payload: {
+      type: 'object',
+      fields: {
+        id: BASE64URL(64),
+        type: { type: 'enum', values: CHALLENGE_TYPES },
+        result: { type: 'variant', on: 'type', variants: CHALLENGE_RESULTS, nullable: true }
+      }
+    }
+  },
+  // One press in the sequence task - a button (null: start over), and
+  // whether it came from a keyboard, switch or screen reader. The SW
+  // answers { v, type: 'sequence-prompt', payload: { id, find, step, of, missed } }.
+  'sequence-step': {
+    payload: {
+      type: 'object',
+      fields: {
+        id: BASE64URL(64),
+        item: { type: 'integer', min: 0, max: SEQUENCE_ITEMS - 1, nullable: true },
+        key: { type: 'boolean' }
+      }
+    }
+  },
+  'attest': {
+    payload: {
+      type: 'object',
+      fields: {
+        type: { type: 'enum', values: Object.keys(PROOFS) },
+        proof: { type: 'variant', on: 'type', variants: PROOFS }
+      }
+    }
+  },
+  'css-gate-complete': {
+    gate: { type: 'enum', values: CSS_GATES },
+    evidence: {
+      type: 'object',
+      fields: {
+        events: {
+          type: 'array',
+          max: 200,
+          items: {
+            type: 'object',
+            fields: {
+              type: { type: 'enum', values: EVIDENCE_EVENTS },
+              target: { type: 'integer', min: 0, max: 100 },
+              t: TIMESTAMP
+            }
+          }
+        }
+      }
+    },
+    timestamp: TIMESTAMP
+  },
+  'passkey-challenge': {},
+  'passkey-register': {
+    payload: {
+      type: 'object',
+      fields: {
+        credentialId: BASE64URL(1024),
+        clientDataJSON: BASE64URL(4096),
+        attestationObject: BASE64URL(16384)
+      }
+    }
+  },
+  'get-state': {},
+  'get-explanation': {},
+  'forget-me': {},
+  'get-capability': {},
+  'policy-reload': {},
+  // To a waiting worker: take over now (an update otherwise waits for
+  // every tab to close). Only pages on its protocol get through.
+  'skip-waiting': {}
+};
+
+// ========== VALIDATION ==========
+
+/**
+ * Check an incoming message. Returns { ok: true, message } or
+ * { ok: false, code, detail } with code from ERROR_CODES.
+ */
+export function validateMessage(data) {
+  if (!isObject(data)) return { ok: false, code: 'malformed', detail: 'message: not an object' };
+  if (data.v !== PROTOCOL_VERSION) return { ok: false, code: 'version', detail: `v: expected ${PROTOCOL_VERSION}` };
+  if (!Object.hasOwn(MESSAGES, data.type)) return { ok: false, code: 'unknown-type', detail: `type: "${String(data.type).slice(0, 32)}"` };
+
+  const fields = { v: { type: 'integer' }, type: { type: 'string' }, session: SESSION, ...MESSAGES[data.type] };
+  const errors = [];
+  check(data, { type: 'object', fields }, data.type, errors, data);
+
+  return errors.length
+    ? { ok: false, code: 'malformed', detail: errors.slice(0, 3).join('; ') }
+    : { ok: true, message: data };
+}
+
+/**
+ * The error reply for a refused message
+ */
+export function errorMessage(code, replyTo, detail, id) {
+  return { v: PROTOCOL_VERSION, type: 'error', payload: { code, replyTo: replyTo ?? null, detail: detail ?? null, id: id ?? null } };
+}
+
+function check(value, spec, at, errors, parent) {
+  const fail = (message) => errors.push(`${at}: ${message}`);
+
+  if (value === undefined) {
+    if (!spec.optional) fail('missing');
+    return;
+  }
+  if (value === null) {
+    if (!spec.nullable) fail('null');
+    return;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('expected a string');
+      if (value.length > (spec.max ?? 256)) return fail(`longer than ${spec.max ?? 256}`);
+      if (spec.pattern && !spec.pattern.test(value)) fail('bad format');
+      return;
+
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('expected a number');
+      if (spec.type === 'integer' && !Number.isSafeInteger(value)) return fail('expected an integer');
+      if (spec.min !== undefined && value < spec.min) fail(`below ${spec.min}`);
+      if (spec.max !== undefined && value > spec.max) fail(`above ${spec.max}`);
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') fail('expected a boolean');
+      return;
+
+    case 'enum':
+      if (!spec.values.includes(value)) fail(`expected one of ${spec.values.join(', ')}`);
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('expected an array');
+      if (value.length > spec.max) return fail(`more than ${spec.max} items`);
+      value.forEach((item, i) => check(item, spec.items, `${at}[${i}]`, errors, value));
+      return;
+
+    case 'object':
+      if (!isObject(value)) return fail('expected an object');
+      for (const key of Object.keys(value)) {
+        if (!Object.hasOwn(spec.fields, key)) fail(`${key}: unknown field`);
+      }
+      for (const [key, field] of Object.entries(spec.fields)) {
+        check(value[key], field, `${at}.${key}`, errors, value);
+      }
+      return;
+
+    case 'record': {
+      if (!isObject(value)) return fail('expected an object');
+      const keys = Object.keys(value);
+      if (keys.length > spec.max) return fail(`more than ${spec.max} keys`);
+      for (const key of keys) {
+        const kind = typeof value[key];
+        if (!spec.values.includes(kind) || (kind === 'number' && !Number.isFinite(value[key]))) {
+          fail(`${key}: expected ${spec.values.join(' or ')}`);
+        }
+      }
+      return;
+    }
+
+    // Shape picked by a sibling field, e.g. result by challenge type
+    case 'variant': {
+      const variant = spec.variants[parent?.[spec.on]];
+      if (variant) check(value, variant, at, errors, parent);
+      return;
+    }
+  }
+}
+
+// ========== UTILITIES ==========
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
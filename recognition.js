@@ -0,0 +1,96 @@
+/**
+ * recognition.js - Returning-Visitor Recognition
+ * Matches a fresh fingerprint vector against the ones stored for earlier
+ * visits, so someone who reached a stage yesterday isn't back at 0.5.
+ * Used by vector-sw.js. No DOM, no dependencies.
+ *
+ * Vectors are compared with a weighted cosine around 0.5 (the middle of
+ * every signal's range). Signals that drift between loads of the same
+ * browser count for less, and small moves in them count as none.
+ */
+
+// Where each VectorGate signal sits in the 128-d vector (collect() order).
+// Vectors from before the consistency checks have values derived by
+// normalize() in their place.
+// weight: share in the similarity. tolerance: differences up to this are noise.
+export const VECTOR_LAYOUT = {
+  canvas:      { from: 0,   to: 16,  weight: 1 },
+  webgl:       { from: 16,  to: 32,  weight: 1 },
+  audio:       { from: 32,  to: 44,  weight: 0.5,  tolerance: 0.05 }, // Read mid-render
+  fonts:       { from: 44,  to: 58,  weight: 1 },
+  timing:      { from: 58,  to: 74,  weight: 0.25, tolerance: 0.2 },  // Load, throttling
+  math:        { from: 74,  to: 84,  weight: 1 },
+  memory:      { from: 84,  to: 94,  weight: 0.25, tolerance: 0.2 },  // Heap size, GC
+  screen:      { from: 94,  to: 102, weight: 0.5,  tolerance: 0.05 }, // Zoom, second monitor
+  hardware:    { from: 102, to: 110, weight: 1 },
+  features:    { from: 110, to: 122, weight: 1 },
+  consistency: { from: 122, to: 128, weight: 0.5 }
+};
+
+// On recorded vectors: other devices land at 0.2-0.4, the same hardware
+// with its own canvas and math hashes at 0.8-0.91, the same browser
+// across reloads and zoom changes above 0.99
+export const MATCH_THRESHOLD = 0.95;
+
+// The best match must beat the next one by this much - two stored
+// visitors that both look like the new vector are one too many
+export const MATCH_MARGIN = 0.03;
+
+// ========== MATCHING ==========
+
+/**
+ * Similarity of two fingerprint vectors, -1 to 1
+ */
+export function similarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (const { from, to, weight, tolerance = 0 } of Object.values(VECTOR_LAYOUT)) {
+    for (let i = from; i < Math.min(to, a.length, b.length); i++) {
+      const x = a[i] - 0.5;
+      const y = (Math.abs(a[i] - b[i]) <= tolerance ? a[i] : b[i]) - 0.5;
+      dot += weight * x * y;
+      normA += weight * x * x;
+      normB += weight * y * y;
+    }
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Best stored visitor for `vector`. Returns
+ * { visitor, matched, similarity, margin, confidence } - `visitor` is the
+ * closest one (or null), `matched` whether it's confidently the same.
+ * confidence runs 0-1 from MATCH_THRESHOLD to identical.
+ */
+export function matchVisitor(visitors, vector) {
+  let best = null;
+  let bestScore = -1;
+  let runnerUp = -1;
+
+  for (const visitor of visitors) {
+    const score = similarity(vector, visitor.vector);
+    if (score > bestScore) {
+      runnerUp = bestScore;
+      best = visitor;
+      bestScore = score;
+    } else if (score > runnerUp) {
+      runnerUp = score;
+    }
+  }
+
+  const margin = best ? bestScore - Math.max(runnerUp, 0) : 0;
+  const confidence = best
+    ? Math.max(0, Math.min(1, (bestScore - MATCH_THRESHOLD) / (1 - MATCH_THRESHOLD)))
+    : 0;
+
+  return {
+    visitor: best,
+    matched: !!best && bestScore >= MATCH_THRESHOLD && margin >= MATCH_MARGIN,
+    similarity: best ? bestScore : 0,
+    margin,
+    confidence
+  };
+}
@@ -0,0 +1,355 @@
+/**
+ * server-gate.js - Server-Side Gate
+ * What server.js enforces, without the Node parts: which keys to trust,
+ * the proof endpoint that earns a key that trust, and the per-request
+ * decision against gate-policy.json. No Node APIs, so test-vectors.html
+ * runs it against what the SW mints.
+ *
+ *   const gate = await createGate({ policy, trust: trustProvenKeys() });
+ *   gate.handle(req, res, next); // Node-style req / res
+ */
+
+import { compilePolicy, evaluate, provenStage, stageFor, unlocksThrough } from './gate-policy.js';
+import { CAPABILITY_COOKIE, CAPABILITY_HEADER, PROOF_PATH, verifyCapability } from './capability.js';
+import { verify as verifyWork } from './pow.js';
+import { base64urlDecode, base64urlEncode } from './webauthn.js';
+
+const PROOF_DIFFICULTY = 18;              // `key` level: the first stage
+const WORK_DIFFICULTY = 20;               // `pow` level: as the SW's own pow challenge asks
+const PROOF_CHALLENGE_TTL = 2 * 60 * 1000;
+const PROOF_TTL = 24 * 60 * 60 * 1000;    // A proven key, as long as the SW keeps a session
+const WORK_TTL = 2 * 60 * 60 * 1000;      // Its work, from when it was done - the SW redoes it hourly
+const MAX_CHALLENGES = 10000;             // Outstanding at once - past that, 503
+const MAX_PROOF_BYTES = 4096;
+
+// ========== TRUST ==========
+
+/**
+ * Trust a key once it has solved one of our proof-of-work challenges and
+ * signed the answer. Challenges are single use, so every key costs its
+ * holder the work - a forger's fresh key is no longer free. The default
+ * for server.js.
+ *
+ * What a key may claim is what we checked (provenStage() in
+ * gate-policy.js): a `key` challenge (`difficulty` bits) gets it trusted
+ * for `ttl` ms, up to the first stage; a `pow` one (`work` bits) up to
+ * the pow stage, for `workTtl` ms. Past that only keys you `enrolled` -
+ * ids (kid) you vouch for by other means, such as a passkey your backend
+ * checked - get what their tokens say.
+ *
+ * The work comes with a receipt, signed with a secret only this instance
+ * holds. A key proving itself with one (claim `receipt`) takes the work
+ * over for what is left of its `workTtl` - page-gate.js keeps it across
+ * reloads, which each make a new key.
+ *
+ * Returns the trust() callback, with level(kid), enroll(kid), and
+ * challenge(level) and prove(token, audience) for the PROOF_PATH
+ * endpoint createGate() serves.
+ */
+export function trustProvenKeys({
+  difficulty = PROOF_DIFFICULTY, work = WORK_DIFFICULTY, ttl = PROOF_TTL, workTtl = WORK_TTL,
+  challengeTtl = PROOF_CHALLENGE_TTL, enrolled = []
+} = {}) {
+  const challenges = new Map(); // challenge -> { level, difficulty, expires }
+  const proven = new Map();     // kid -> { expires, worked }
+  const vouched = new Set(enrolled);
+  const secret = crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+
+  /**
+   * 'enrolled', 'pow', 'key', or null for a key we don't know
+   */
+  const level = (kid) => {
+    if (vouched.has(kid)) return 'enrolled';
+    const entry = proven.get(kid);
+    const now = Date.now();
+    if (!entry || entry.expires <= now) return null;
+    return now - entry.worked < workTtl ? 'pow' : 'key';
+  };
+
+  const trust = (kid) => level(kid) !== null;
+  trust.level = level;
+  trust.enroll = (kid) => { vouched.add(kid); };
+
+  /**
+   * A fresh challenge for `level` ('key' or 'pow'), or null while too
+   * many are outstanding
+   */
+  trust.challenge = (wanted = 'key') => {
+    prune(challenges);
+    if (challenges.size >= MAX_CHALLENGES) return null;
+
+    const challenge = base64urlEncode(crypto.getRandomValues(new Uint8Array(24)));
+    const issued = wanted === 'pow'
+      ? { level: 'pow', difficulty: work, expires: Date.now() + challengeTtl }
+      : { level: 'key', difficulty, expires: Date.now() + challengeTtl };
+    challenges.set(challenge, issued);
+    return { challenge, ...issued };
+  };
+
+  /**
+   * Accept a capability token whose `proof` claim answers one of our
+   * challenges. Resolves with the level its key now holds, until when,
+   * and - for `pow` - when the work was done and its receipt. Null if
+   * the proof doesn't hold.
+   */
+  trust.prove = async (token, audience) => {
+    const result = await verifyCapability(token, { trust: () => true, audience });
+    const proof = result.ok ? result.claims.proof : null;
+    if (typeof proof?.challenge !== 'string' || !Number.isSafeInteger(proof.nonce) || proof.nonce < 0) return null;
+
+    // Spent right or wrong - no second guesses at one challenge
+    const issued = challenges.get(proof.challenge);
+    if (!challenges.delete(proof.challenge) || issued.expires <= Date.now()) return null;
+    if (!(await verifyWork(proof.challenge, proof.nonce, issued.difficulty))) return null;
+
+    prune(proven);
+    const now = Date.now();
+    const entry = proven.get(result.kid) || { expires: 0, worked: 0 };
+    entry.expires = Math.max(entry.expires, now + ttl);
+    entry.worked = Math.max(entry.worked, issued.level === 'pow' ? now : 0, await readReceipt(result.claims.receipt));
+    proven.set(result.kid, entry);
+
+    const held = level(result.kid);
+    return held === 'pow'
+      ? { level: held, expires: entry.worked + workTtl, worked: entry.worked, receipt: await writeReceipt(entry.worked) }
+      : { level: held, expires: entry.expires };
+  };
+
+  async function writeReceipt(worked) {
+    const body = base64urlEncode(new TextEncoder().encode(JSON.stringify({ worked })));
+    const signature = await crypto.subtle.sign('HMAC', await secret, new TextEncoder().encode(body));
+    return `${body}.${base64urlEncode(signature)}`;
+  }
+
+  /**
+   * When the work a receipt stands for was done, or 0 if it isn't ours
+   * or no longer counts
+   */
+  async function readReceipt(receipt) {
+    if (typeof receipt !== 'string' || receipt.length > 256) return 0;
+    const [body, signature, ...rest] = receipt.split('.');
+    try {
+      if (rest.length || !(await crypto.subtle.verify('HMAC', await secret, base64urlDecode(signature),
+        new TextEncoder().encode(body)))) return 0;
+      const { worked } = JSON.parse(new TextDecoder().decode(base64urlDecode(body)));
+      const age = Date.now() - worked;
+      return Number.isFinite(worked) && age >= 0 && age < workTtl ? worked : 0;
+    } catch {
+      return 0;
+    }
+  }
+
+  return trust;
+}
+
+/**
+ * Pin each token subject to the first key it shows up with.
+ * Stops a stolen session id being replayed under another key. It does NOT
+ * stop a forger with a fresh key and subject - never use it on its own;
+ * trustProvenKeys() is the default for that reason. What it pins gets the
+ * first stage at most.
+ */
+export function trustOnFirstUse() {
+  const pins = new Map(); // subject -> kid
+
+  const trust = (kid, jwk, claims) => {
+    if (typeof claims.sub !== 'string') return false;
+    if (!pins.has(claims.sub)) pins.set(claims.sub, kid);
+    return pins.get(claims.sub) === kid;
+  };
+  trust.level = () => 'key';
+  return trust;
+}
+
+function prune(expiring, now = Date.now()) {
+  for (const [key, { expires }] of expiring) {
+    if (expires <= now) expiring.delete(key);
+  }
+}
+
+// ========== GATE ==========
+
+/**
+ * options:
+ *   policy     Parsed gate-policy.json
+ *   load       async () => parsed gate-policy.json, for reload() and when
+ *              `policy` is left out
+ *   trust      verifyCapability() trust callback - required. One from
+ *              trustProvenKeys() also gets its PROOF_PATH endpoint served,
+ *              and caps each key at the stage it proved. Keys your own
+ *              callback trusts get what their tokens say.
+ *   audience   Origin tokens must be minted for; default: the request's own
+ *   base       URL path the site is mounted at, default '/'
+ *   page       Accept page mode tokens (no service worker), default true.
+ *              They unlock what their score reaches, within the same cap.
+ */
+export async function createGate({ policy, load, trust, audience, base = '/', page = true } = {}) {
+  if (typeof trust !== 'function') throw new TypeError('createGate: trust callback required');
+
+  let current = null;
+
+  /**
+   * Swap the policy. Nothing changes unless the new one validates.
+   */
+  async function reload(json) {
+    json ??= await load?.();
+    const result = compilePolicy(json);
+    if (!result.ok) return result;
+    current = result.policy;
+    return { ok: true, policy: current };
+  }
+
+  const loaded = await reload(policy);
+  if (!loaded.ok) throw new Error(`gate-policy: ${loaded.errors.join('; ')}`);
+
+  /**
+   * Decide a request. Returns { allow, status, claims, path }.
+   */
+  async function check(req) {
+    const active = current; // One policy per request, even across a reload
+    const path = relativePath(req.url, base);
+    if (path === null) return { allow: false, status: active.deny, claims: null, path };
+
+    let claims = null;
+    let level = null;
+    const token = req.headers[CAPABILITY_HEADER.toLowerCase()] || readCookie(req, CAPABILITY_COOKIE);
+    if (token) {
+      const result = await verifyCapability(token, {
+        trust,
+        audience: audience ?? requestOrigin(req)
+      });
+      if (result.ok && (result.claims.mode !== 'page' || page)) {
+        claims = result.claims;
+        level = trust.level ? trust.level(result.kid) : 'enrolled';
+      }
+    }
+
+    // A token only exists for an initialized session - same as the SW's view.
+    // Its claims count up to the stage we checked the key for (a page
+    // token's come from its score); a forger's keys get no further
+    const proven = claims ? unlocksThrough(active, provenStage(active, level)) : [];
+    const claimed = claims?.mode === 'page'
+      ? unlocksThrough(active, stageFor(active, Number(claims.organic) || 0))
+      : claims?.unlocks;
+    const unlocked = Array.isArray(claimed) ? claimed.filter(u => proven.includes(u)) : [];
+    const session = claims ? { initialized: true, unlocked } : null;
+    const decision = evaluate(active, path, req.method, session);
+    return { allow: decision.allow, status: decision.status, gated: !!decision.rule?.require, claims, path };
+  }
+
+  /**
+   * Middleware: deny with the policy's status, or call next()
+   */
+  async function handle(req, res, next) {
+    if (trust.prove && relativePath(req.url, base) === PROOF_PATH) {
+      await answerProof(req, res);
+      return;
+    }
+
+    const decision = await check(req);
+    req.gate = decision;
+
+    // Gated answers depend on the token - keep them out of shared caches
+    if (decision.gated || !decision.allow) res.setHeader('Cache-Control', 'private, no-store');
+
+    if (!decision.allow) {
+      // Reveal nothing about existence
+      res.writeHead(decision.status);
+      res.end();
+      return;
+    }
+    next();
+  }
+
+  /**
+   * GET: a challenge (?level=pow for the pow stage's). POST: a token
+   * answering one, and the level its key now holds (see proveSigningKey()).
+   */
+  async function answerProof(req, res) {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'GET') {
+      const challenge = trust.challenge(new URL(req.url, 'http://localhost').searchParams.get('level') || 'key');
+      if (!challenge) {
+        res.writeHead(503); // Too many outstanding - try later
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(challenge));
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const token = await readBody(req, MAX_PROOF_BYTES);
+      const proven = token !== null ? await trust.prove(token, audience ?? requestOrigin(req)) : null;
+      if (!proven) {
+        res.writeHead(403);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(proven));
+      return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST' });
+    res.end();
+  }
+
+  return { check, handle, reload, get policy() { return current; } };
+}
+
+// ========== UTILITIES ==========
+
+/**
+ * Request path below `base`, decoded - the same form the SW matches on.
+ * Null if it is outside `base`, won't decode or climbs out with an
+ * encoded `..` - always denied.
+ */
+export function relativePath(url, base) {
+  const { pathname } = new URL(url, 'http://localhost');
+  if (!pathname.startsWith(base)) return null;
+
+  let path;
+  try {
+    path = decodeURIComponent(pathname.slice(base.length));
+  } catch {
+    return null;
+  }
+  return /(^|\/)\.\.?(\/|$)|[\\\0]/.test(path) ? null : path;
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+function requestOrigin(req) {
+  const proto = req.headers['x-forwarded-proto'] || (req.socket?.encrypted ? 'https' : 'http');
+  return `${proto}://${req.headers.host}`;
+}
+
+/**
+ * Request body as text, or null past `limit` bytes
+ */
+async function readBody(req, limit) {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of req) {
+    length += chunk.length;
+    if (length > limit) return null;
+    chunks.push(chunk);
+  }
+
+  const body = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return new TextDecoder().decode(body);
+}
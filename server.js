@@ -0,0 +1,137 @@
+/**
+ * server.js - Reference Server
+ * Serves the site and enforces gate-policy.json again, server-side, so
+ * fetching admin.js with curl gets the same 204 as an unearned page does.
+ * Proof of a session is the capability token vector-sw.js attaches
+ * (see capability.js), or the cookie page-gate.js sets where there is no
+ * service worker, signed by a key that has solved one of our challenges
+ * (trustProvenKeys() in server-gate.js). That gets a key as far as the
+ * pow stage; further takes enrolling it (trust.enroll(kid)).
+ * Node 18+, no dependencies; package.json marks the modules as ES modules.
+ *
+ *   node server.js [port] [root]
+ *
+ * Or mount the gate in front of your own handler:
+ *
+ *   const gate = await createGate({ root, trust: trustProvenKeys() });
+ *   http.createServer((req, res) => gate.handle(req, res, () => serveStatic(req, res)));
+ */
+
+import { webcrypto } from 'node:crypto';
+import { createServer as createHttpServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { createReadStream } from 'node:fs';
+import { extname, join, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { createGate as createPolicyGate, relativePath, trustOnFirstUse, trustProvenKeys } from './server-gate.js';
+
+export { trustOnFirstUse, trustProvenKeys };
+
+// Node 18 has WebCrypto, just not as a global - which the shared modules use
+globalThis.crypto ??= webcrypto;
+
+const ROOT = fileURLToPath(new URL('.', import.meta.url));
+const DEFAULT_PORT = 8080;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.wasm': 'application/wasm',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+// ========== GATE ==========
+
+/**
+ * createGate() from server-gate.js, reading the policy from `root`.
+ * Same options, plus root.
+ */
+export function createGate({ root = ROOT, ...options } = {}) {
+  return createPolicyGate({
+    load: async () => JSON.parse(await readFile(join(root, 'gate-policy.json'), 'utf8')),
+    ...options
+  });
+}
+
+// ========== STATIC FILES ==========
+
+/**
+ * Serve root + req.gate.path. Anything missing or outside root is a 404,
+ * anything but GET or HEAD a 405 - files here are read only.
+ */
+export async function serveStatic(req, res, root = ROOT) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { Allow: 'GET, HEAD' });
+    res.end();
+    return;
+  }
+
+  const path = req.gate?.path ?? relativePath(req.url, '/');
+  const base = resolve(root);
+  let file = resolve(base, path || 'index.html');
+
+  if (path === null || (file !== base && !file.startsWith(base + sep))) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+
+  try {
+    let info = await stat(file);
+    if (info.isDirectory()) {
+      file = join(file, 'index.html');
+      info = await stat(file);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream',
+      'Content-Length': info.size
+    });
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    createReadStream(file).pipe(res);
+  } catch {
+    res.writeHead(404);
+    res.end();
+  }
+}
+
+/**
+ * Gate + static files, ready to listen()
+ */
+export async function createServer({ root = ROOT, ...options } = {}) {
+  const gate = await createGate({ root, ...options });
+
+  const server = createHttpServer((req, res) => {
+    gate.handle(req, res, () => serveStatic(req, res, root)).catch(() => {
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+  server.gate = gate;
+  return server;
+}
+
+// ========== CLI ==========
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+  const root = process.argv[3] ? resolve(process.argv[3]) : ROOT;
+
+  const server = await createServer({ root, trust: trustProvenKeys() });
+  server.listen(port, () => console.log(`[server] http://localhost:${port}/ (${root})`));
+
+  // Re-read gate-policy.json without dropping connections
+  process.on('SIGHUP', async () => {
+    const result = await server.gate.reload().catch(e => ({ ok: false, errors: [e.message] }));
+    console.log(result.ok ? `[server] Policy revision ${result.policy.revision}` : `[server] Policy rejected: ${result.errors}`);
+  });
+}
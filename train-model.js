@@ -0,0 +1,323 @@
+/**
+ * train-model.js - Organic Model Training
+ * Fits organic-model.json to labeled sessions and reports how well it
+ * separates people from bots, so thresholds come from data.
+ * Node 18+, no dependencies; package.json marks it an ES module.
+ *
+ *   node train-model.js train sessions.jsonl [options]   Fit, report, write the model
+ *   node train-model.js eval sessions.jsonl [options]    Report on the current model
+ *
+ * Options:
+ *   --model FILE     Model to start from / evaluate (default organic-model.json)
+ *   --out FILE       Where train writes (default: --model)
+ *   --report FILE    Also write the full report (ROC points) as JSON
+ *   --holdout 0.2    Share of sessions kept out of training to evaluate on
+ *   --epochs 2000    Gradient descent steps
+ *   --rate 0.5       Learning rate
+ *   --l2 0.001       Weight decay
+ *   --seed 1         Shuffle seed, for repeatable splits
+ *
+ * One session per line:
+ *
+ *   { "label": "human" | "bot",
+ *     "vector": [...128 numbers],             -> fingerprint model
+ *     "cssSignals": { "mediaCount": 4, ... },
+ *     "behavioral": { "mouseMovements": [...], "scrollEvents": [...], "keyPresses": [...],
+ *                     "touches": [...],            -> touch model
+ *                     "keystrokes": [...] } }      -> keystrokes model
+ *
+ * Each model trains on the sessions that carry its input.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { FEATURES, MODEL_VERSION, compileModel, extractFeatures, probability } from './organic-model.js';
+
+const DEFAULT_MODEL = fileURLToPath(new URL('./organic-model.json', import.meta.url));
+
+// What each model reads from a session
+const INPUTS = {
+  fingerprint: (session) => Array.isArray(session.vector) && { vector: session.vector, cssSignals: session.cssSignals || {} },
+  behavioral: (session) => session.behavioral && typeof session.behavioral === 'object' && session.behavioral,
+  touch: (session) => session.behavioral?.touches?.length > 0 && session.behavioral,
+  keystrokes: (session) => session.behavioral?.keystrokes?.length > 0 && session.behavioral
+};
+
+// ========== DATA ==========
+
+/**
+ * Parse JSONL sessions. Lines that don't parse or lack a label are
+ * skipped and counted.
+ */
+export function readSessions(text) {
+  const sessions = [];
+  let skipped = 0;
+
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const session = JSON.parse(line);
+      const label = session.label === 'human' || session.label === 1 ? 1
+        : session.label === 'bot' || session.label === 0 ? 0
+        : null;
+      if (label === null) throw new Error('label');
+      sessions.push({ ...session, label });
+    } catch {
+      skipped++;
+    }
+  }
+
+  return { sessions, skipped };
+}
+
+/**
+ * Deterministic shuffle-and-split
+ */
+export function split(sessions, holdout, seed = 1) {
+  const random = mulberry32(seed);
+  const shuffled = [...sessions];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const cut = Math.round(shuffled.length * (1 - holdout));
+  return { train: shuffled.slice(0, cut), test: shuffled.slice(cut) };
+}
+
+// ========== TRAINING ==========
+
+// How to fit each model kind in organic-model.js SCORERS
+const TRAINERS = {
+  /**
+   * Full-batch gradient descent on standardized features, with L2.
+   * Weights are folded back to raw feature scale, which is what
+   * organic-model.js scores with.
+   */
+  logistic(X, y, { epochs = 2000, rate = 0.5, l2 = 0.001 } = {}) {
+    const width = X[0].length;
+    const mean = new Array(width).fill(0);
+    const scale = new Array(width).fill(0);
+
+    for (const row of X) row.forEach((v, j) => { mean[j] += v / X.length; });
+    for (const row of X) row.forEach((v, j) => { scale[j] += (v - mean[j]) ** 2 / X.length; });
+    for (let j = 0; j < width; j++) scale[j] = Math.sqrt(scale[j]) || 1; // Constant feature: leave as is
+
+    const Z = X.map(row => row.map((v, j) => (v - mean[j]) / scale[j]));
+    const w = new Array(width).fill(0);
+    let b = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const grad = new Array(width).fill(0);
+      let gradB = 0;
+
+      Z.forEach((row, i) => {
+        const p = 1 / (1 + Math.exp(-row.reduce((sum, v, j) => sum + v * w[j], b)));
+        const error = p - y[i];
+        row.forEach((v, j) => { grad[j] += error * v; });
+        gradB += error;
+      });
+
+      for (let j = 0; j < width; j++) w[j] -= rate * (grad[j] / Z.length + l2 * w[j]);
+      b -= rate * gradB / Z.length;
+    }
+
+    const weights = w.map((wj, j) => round(wj / scale[j]));
+    const bias = round(b - w.reduce((sum, wj, j) => sum + wj * mean[j] / scale[j], 0));
+    return { weights, bias };
+  }
+};
+
+/**
+ * Fit every model in `json` that has sessions for it. Returns the new
+ * model JSON (revision bumped) and the evaluation report.
+ */
+export function trainModel(json, sessions, { holdout = 0.2, seed = 1, ...options } = {}) {
+  const next = structuredClone(json);
+  next.models ??= {};
+  const report = {};
+
+  for (const name of Object.keys(FEATURES)) {
+    const rows = sessions.map(s => ({ input: INPUTS[name](s), label: s.label })).filter(r => r.input);
+    if (!hasBothLabels(rows)) continue;
+
+    const spec = next.models[name] ?? {
+      kind: 'logistic',
+      features: Object.keys(FEATURES[name]),
+      output: [0, 1]
+    };
+    const trainer = TRAINERS[spec.kind];
+    if (!trainer) throw new Error(`${name}: no trainer for kind "${spec.kind}"`);
+
+    const { train, test } = split(rows, holdout, seed);
+    if (!hasBothLabels(train)) continue;
+
+    const extractors = { features: spec.features, extractors: FEATURES[name] };
+    const X = train.map(r => extractFeatures(extractors, r.input));
+    next.models[name] = { ...spec, ...trainer(X, train.map(r => r.label), options) };
+
+    // Score held-out sessions with the model as it will ship
+    const compiled = compileModel({ version: MODEL_VERSION, models: { [name]: next.models[name] } });
+    if (!compiled.ok) throw new Error(compiled.errors.join('; '));
+    report[name] = evaluate(compiled.model.models[name], test.length ? test : train);
+    report[name].trained = train.length;
+  }
+
+  next.revision = (json.revision || 0) + 1;
+  next.trained = {
+    date: new Date().toISOString(),
+    sessions: sessions.length,
+    holdout,
+    auc: Object.fromEntries(Object.entries(report).map(([name, r]) => [name, r.auc]))
+  };
+
+  return { model: next, report };
+}
+
+// ========== EVALUATION ==========
+
+/**
+ * Report for one compiled model on labeled rows { input, label }
+ */
+export function evaluate(model, rows) {
+  const scores = rows.map(r => probability(model, r.input));
+  const labels = rows.map(r => r.label);
+  const points = roc(scores, labels);
+  const best = points.reduce((a, b) => (b.tpr - b.fpr > a.tpr - a.fpr ? b : a), points[0]);
+  const [low, high] = model.output;
+
+  return {
+    sessions: rows.length,
+    humans: labels.filter(Boolean).length,
+    auc: round(auc(points)),
+    // Youden's J: the cut that best separates the two on this data
+    threshold: {
+      probability: round(best.threshold),
+      score: round(low + best.threshold * (high - low)),
+      tpr: round(best.tpr),
+      fpr: round(best.fpr)
+    },
+    roc: points.map(p => ({ threshold: round(p.threshold), tpr: round(p.tpr), fpr: round(p.fpr) }))
+  };
+}
+
+/**
+ * ROC curve: one point per distinct score, from "nothing passes" to
+ * "everything passes". Label 1 is positive (human).
+ */
+export function roc(scores, labels) {
+  const positives = labels.filter(Boolean).length;
+  const negatives = labels.length - positives;
+  const order = scores.map((score, i) => [score, labels[i]]).sort((a, b) => b[0] - a[0]);
+
+  const points = [{ threshold: Infinity, tpr: 0, fpr: 0 }];
+  let tp = 0;
+  let fp = 0;
+  for (let i = 0; i < order.length; i++) {
+    if (order[i][1]) tp++;
+    else fp++;
+    // Ties move together
+    if (i === order.length - 1 || order[i + 1][0] !== order[i][0]) {
+      points.push({ threshold: order[i][0], tpr: positives ? tp / positives : 0, fpr: negatives ? fp / negatives : 0 });
+    }
+  }
+  return points;
+}
+
+/**
+ * Area under a ROC curve (trapezoids)
+ */
+export function auc(points) {
+  let area = 0;
+  for (let i = 1; i < points.length; i++) {
+    area += (points[i].fpr - points[i - 1].fpr) * (points[i].tpr + points[i - 1].tpr) / 2;
+  }
+  return area;
+}
+
+// ========== UTILITIES ==========
+
+function hasBothLabels(rows) {
+  return rows.some(r => r.label === 1) && rows.some(r => r.label === 0);
+}
+
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 1e4) / 1e4 : value;
+}
+
+function parseOptions(args) {
+  const options = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) options[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+  }
+  return { options, positional };
+}
+
+function printReport(report) {
+  for (const [name, r] of Object.entries(report)) {
+    console.log(`${name}: AUC ${r.auc} on ${r.sessions} sessions (${r.humans} human)` +
+      (r.trained ? `, trained on ${r.trained}` : ''));
+    console.log(`  best threshold: p=${r.threshold.probability} (score ${r.threshold.score}) - ` +
+      `TPR ${r.threshold.tpr}, FPR ${r.threshold.fpr}`);
+  }
+  if (!Object.keys(report).length) console.log('No model had sessions of both labels');
+}
+
+// ========== CLI ==========
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const { options, positional: [command, data] } = parseOptions(process.argv.slice(2));
+
+  if (!['train', 'eval'].includes(command) || !data) {
+    console.error('usage: node train-model.js train|eval sessions.jsonl [--model FILE] [--out FILE] [--report FILE]');
+    process.exit(2);
+  }
+
+  const modelPath = resolve(options.model || DEFAULT_MODEL);
+  const json = JSON.parse(await readFile(modelPath, 'utf8'));
+  const { sessions, skipped } = readSessions(await readFile(resolve(data), 'utf8'));
+  if (skipped) console.warn(`[train] Skipped ${skipped} unreadable or unlabeled lines`);
+
+  let report;
+  if (command === 'train') {
+    const result = trainModel(json, sessions, {
+      holdout: Number(options.holdout ?? 0.2),
+      seed: Number(options.seed ?? 1),
+      epochs: Number(options.epochs ?? 2000),
+      rate: Number(options.rate ?? 0.5),
+      l2: Number(options.l2 ?? 0.001)
+    });
+    report = result.report;
+
+    const out = resolve(options.out || modelPath);
+    await writeFile(out, JSON.stringify(result.model, null, 2) + '\n');
+    console.log(`[train] Wrote revision ${result.model.revision} to ${out}`);
+  } else {
+    const compiled = compileModel(json);
+    if (!compiled.ok) {
+      console.error(`[train] Model rejected: ${compiled.errors.join('; ')}`);
+      process.exit(1);
+    }
+    report = {};
+    for (const [name, model] of Object.entries(compiled.model.models)) {
+      const rows = sessions.map(s => ({ input: INPUTS[name](s), label: s.label })).filter(r => r.input);
+      if (hasBothLabels(rows)) report[name] = evaluate(model, rows);
+    }
+  }
+
+  printReport(report);
+  if (options.report) await writeFile(resolve(options.report), JSON.stringify(report, null, 2) + '\n');
+}
@@ -1,19 +1,55 @@
 /**
  * vector-gate.js - Deep Fingerprinting Module
- * JS implementation (WASM version would be vector-gate.wasm.js)
+ * JS implementation - vector-gate.wasm.js extends it with a WASM core
  * Creates 128-dimensional vector from browser signals
  */
 
+import { search } from './pow.js';
+import { activeModels, compileModel, fingerprintRules, score } from './organic-model.js';
+import { CONSISTENCY_CHECKS, POINTER_CONTACTS } from './protocol.js';
+
+const MODEL_URL = new URL('./organic-model.json', import.meta.url);
+
+// Canvas and audio are rendered this often; output that changes between
+// renders is noise added on purpose
+const RENDER_PASSES = 3;
+
+// Slots a randomised signal gets instead: 0.5 is the middle of every
+// range, so recognition.js reads it as "no information"
+const NEUTRAL = 0.5;
+
 export class VectorGate {
   constructor() {
     this.vector = null;
     this.fingerprint_hash = null;
+    this.powEngine = 'js';  // Which search pow-worker.js loads
+    this.powSearch = search; // Used when workers are unavailable
+    this.model = null;       // Compiled organic-model.json, once loaded
+    this.modelPending = null;
+    this.findings = [];      // Failed consistency checks, by CONSISTENCY_CHECKS name
+    this.privacy = [];       // Anti-fingerprinting seen, by PRIVACY_SIGNALS name
+  }
+
+  /**
+   * Privacy-hardened browser: canvas or audio output is randomised, so
+   * those signals are left out and the SW offers work instead
+   */
+  get hardened() {
+    return this.privacy.length > 0;
   }
 
   /**
    * Generate 128-dimensional fingerprint vector
    */
   async fingerprint() {
+    return this.vectorize(await this.collect());
+  }
+
+  /**
+   * Read raw browser signals - a flat array of numbers, mostly 0-1
+   */
+  async collect() {
+    this.privacy = [];
     const signals = await Promise.all([
       this.#canvasFingerprint(),
       this.#webglFingerprint(),
@@ -24,56 +60,70 @@ export class VectorGate {
       this.#memoryPatterns(),
       this.#screenMetrics(),
       this.#hardwareSignals(),
-      this.#browserFeatures()
+      this.#browserFeatures(),
+      this.#consistencySignals()
     ]);
 
     // Flatten all signals into raw values
-    const raw = signals.flat();
+    return signals.flat();
+  }
 
-    // Normalize to 128-dimensional vector
-    this.vector = this.#normalize(raw, 128);
+  /**
+   * Raw signals -> 128-dimensional vector. No browser access, so
+   * recorded signals give the same vector anywhere.
+   */
+  async vectorize(raw) {
+    this.vector = this.normalize(raw, 128);
     this.fingerprint_hash = await this.#hash(this.vector);
 
     return this.vector;
   }
 
   /**
-   * Attest organic score from vector
+   * Attest organic score from vector (and the CSS Layer 0 signals) with
+   * the trained model - or the hand-tuned rules if it won't load, or
+   * isn't trained yet
    */
-  async attest(vector) {
-    let score = 0.5; // Base score
-
-    // Check for fingerprint consistency
-    const variance = this.#variance(vector);
-    if (variance > 0.1) score += 0.1; // Natural variance is good
-
-    // Check for suspicious patterns
-    const zeros = vector.filter(v => v === 0).length;
-    if (zeros > vector.length * 0.3) score -= 0.2; // Too many zeros = suspicious
-
-    // Check for perfect patterns (bot-like)
-    const sorted = [...vector].sort((a, b) => a - b);
-    const median = sorted[Math.floor(sorted.length / 2)];
-    const nearMedian = vector.filter(v => Math.abs(v - median) < 0.01).length;
-    if (nearMedian > vector.length * 0.5) score -= 0.15; // Too uniform
+  async attest(vector, cssSignals = {}) {
+    const model = activeModels(await this.loadModel())?.fingerprint;
+    return model ? score(model, { vector, cssSignals }) : this.heuristicScore(vector);
+  }
 
-    // Timing entropy check
-    const timingEntropy = this.#entropy(vector.slice(64, 80));
-    if (timingEntropy > 3) score += 0.1; // Good timing entropy
+  /**
+   * Fetch and compile organic-model.json, once. Null if unavailable.
+   */
+  loadModel(url = MODEL_URL) {
+    this.modelPending ??= (async () => {
+      try {
+        const response = await fetch(url);
+        const result = response.ok ? compileModel(await response.json()) : { ok: false };
+        this.model = result.ok ? result.model : null;
+      } catch {
+        this.model = null;
+      }
+      return this.model;
+    })();
+    return this.modelPending;
+  }
 
-    // Clamp to 0-1
-    return Math.max(0, Math.min(1, score));
+  /**
+   * The rules the model replaced, kept for when it can't load
+   * (organic-model.js, so the SW can explain the same score)
+   */
+  async heuristicScore(vector) {
+    return fingerprintRules(vector).score;
   }
 
   /**
    * Handle challenge from service worker
+   * options (pow only): { onProgress({ hashes, expected, rate }), signal }
    */
-  async challenge(payload) {
+  async challenge(payload, options = {}) {
     const { type, data } = payload || {};
 
     switch (type) {
       case 'pow':
-        return await this.#proofOfWork(data.challenge, data.difficulty);
+        return await this.#proofOfWork(data.challenge, data.difficulty, { ...options, expires: data.expires });
 
       case 'behavioral':
         return await this.#behavioralChallenge(data);
@@ -90,34 +140,74 @@ export class VectorGate {
 
   async #canvasFingerprint() {
     try {
-      const canvas = document.createElement('canvas');
-      canvas.width = 200;
-      canvas.height = 50;
-      const ctx = canvas.getContext('2d');
-
-      // Draw complex pattern
-      ctx.textBaseline = 'top';
-      ctx.font = '14px Arial';
-      ctx.fillStyle = '#f60';
-      ctx.fillRect(125, 1, 62, 20);
-      ctx.fillStyle = '#069';
-      ctx.fillText('squatch.cc', 2, 15);
-      ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
-      ctx.fillText('vector', 4, 17);
-
-      // Add curves
-      ctx.beginPath();
-      ctx.arc(50, 25, 20, 0, Math.PI * 2);
-      ctx.stroke();
-
-      const data = canvas.toDataURL();
-      const hash = await this.#hash(data);
+      const renders = [];
+      for (let i = 0; i < RENDER_PASSES; i++) renders.push(this.#renderCanvas());
+
+      // Per-call noise (Canvas Blocker) shows between renders; per-session
+      // noise (Brave) only against a fill of known colour
+      const varies = new Set(renders).size > 1;
+      const noise = this.#canvasNoise();
+      if (varies) this.#flagPrivacy('canvas-varies');
+      if (noise) this.#flagPrivacy(noise);
+      if (varies || noise) return new Array(16).fill(NEUTRAL);
+
+      const hash = await this.#hash(renders[0]);
       return this.#hashToFloats(hash, 16);
     } catch {
       return new Array(16).fill(0);
     }
   }
 
+  #flagPrivacy(name) {
+    if (!this.privacy.includes(name)) this.privacy.push(name);
+  }
+
+  #renderCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 200;
+    canvas.height = 50;
+    const ctx = canvas.getContext('2d');
+
+    // Draw complex pattern
+    ctx.textBaseline = 'top';
+    ctx.font = '14px Arial';
+    ctx.fillStyle = '#f60';
+    ctx.fillRect(125, 1, 62, 20);
+    ctx.fillStyle = '#069';
+    ctx.fillText('squatch.cc', 2, 15);
+    ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+    ctx.fillText('vector', 4, 17);
+
+    // Add curves
+    ctx.beginPath();
+    ctx.arc(50, 25, 20, 0, Math.PI * 2);
+    ctx.stroke();
+
+    return canvas.toDataURL();
+  }
+
+  /**
+   * A solid fill reads back exactly everywhere. Returns the farbling
+   * pattern found, or null.
+   */
+  #canvasNoise() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgb(255, 128, 0)';
+    ctx.fillRect(0, 0, 8, 8);
+
+    const { data } = ctx.getImageData(0, 0, 8, 8);
+    const expected = [255, 128, 0, 255];
+    if (data.every((v, i) => v === expected[i % 4])) return null;
+
+    // Firefox resistFingerprinting answers with one flat placeholder;
+    // Brave and extensions nudge a few pixels
+    const flat = data.every((v, i) => v === data[i % 4]);
+    if (flat && /Firefox/.test(navigator.userAgent)) return 'resist-fingerprinting';
+    return navigator.brave ? 'brave' : 'canvas-noise';
+  }
+
   async #webglFingerprint() {
     try {
       const canvas = document.createElement('canvas');
@@ -147,38 +237,57 @@ export class VectorGate {
 
   async #audioFingerprint() {
     try {
-      const AudioContext = window.AudioContext || window.webkitAudioContext;
-      if (!AudioContext) return new Array(12).fill(0);
+      const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+      if (!OfflineContext) return new Array(12).fill(0);
 
-      const ctx = new AudioContext();
-      const oscillator = ctx.createOscillator();
-      const analyser = ctx.createAnalyser();
-      const gain = ctx.createGain();
-      const compressor = ctx.createDynamicsCompressor();
+      const renders = [];
+      for (let i = 0; i < RENDER_PASSES; i++) renders.push(await this.#renderAudio(OfflineContext));
 
-      oscillator.type = 'triangle';
-      oscillator.frequency.value = 10000;
-      gain.gain.value = 0;
+      const varies = new Set(renders.map(r => r.join(','))).size > 1;
+      const noise = await this.#audioNoise(OfflineContext);
+      if (varies) this.#flagPrivacy('audio-varies');
+      if (noise) this.#flagPrivacy(noise);
+      if (varies || noise) return new Array(12).fill(NEUTRAL);
 
-      oscillator.connect(compressor);
-      compressor.connect(analyser);
-      analyser.connect(gain);
-      gain.connect(ctx.destination);
+      return renders[0].map(v => (isFinite(v) ? (v + 1) / 2 : 0)); // Samples -1-1 to 0-1
+    } catch {
+      return new Array(12).fill(0);
+    }
+  }
 
-      oscillator.start(0);
+  async #renderAudio(OfflineContext) {
+    const ctx = new OfflineContext(1, 5000, 44100);
+    const oscillator = ctx.createOscillator();
+    const compressor = ctx.createDynamicsCompressor();
 
-      const dataArray = new Float32Array(analyser.frequencyBinCount);
-      analyser.getFloatFrequencyData(dataArray);
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = 10000;
 
-      oscillator.stop();
-      ctx.close();
+    oscillator.connect(compressor);
+    compressor.connect(ctx.destination);
+    oscillator.start(0);
 
-      // Extract first 12 meaningful values
-      const values = Array.from(dataArray.slice(0, 12)).map(v => isFinite(v) ? v : 0);
-      return values.map(v => (v + 140) / 140); // Normalize to 0-1
-    } catch {
-      return new Array(12).fill(0);
-    }
+    // 12 samples once the compressor has settled
+    const buffer = await ctx.startRendering();
+    return Array.from(buffer.getChannelData(0).slice(4500, 4512));
+  }
+
+  /**
+   * A constant 0.5 renders as exactly 0.5 unless something scales the
+   * output. Returns the farbling pattern found, or null.
+   */
+  async #audioNoise(OfflineContext) {
+    const ctx = new OfflineContext(1, 256, 44100);
+    if (!ctx.createConstantSource) return null;
+
+    const source = ctx.createConstantSource();
+    source.offset.value = 0.5;
+    source.connect(ctx.destination);
+    source.start(0);
+
+    const samples = (await ctx.startRendering()).getChannelData(0);
+    if (samples.every(v => v === 0.5)) return null;
+    return navigator.brave ? 'brave' : 'audio-noise';
   }
 
   async #fontFingerprint() {
@@ -331,41 +440,283 @@ export class VectorGate {
     ];
   }
 
+  // ========== CONSISTENCY METHODS ==========
+
+  /**
+   * Cross-check what spoofing tools patch one signal at a time. Returns
+   * the names of the checks that fail (protocol.js CONSISTENCY_CHECKS).
+   */
+  async inconsistencies() {
+    const ua = navigator.userAgent;
+    const os = /Windows/.test(ua) ? 'windows'
+      : /iPhone|iPad|iPod/.test(ua) ? 'ios'
+      : /Android/.test(ua) ? 'android'
+      : /CrOS/.test(ua) ? 'chromeos'
+      : /Mac OS X/.test(ua) ? 'mac'
+      : /Linux/.test(ua) ? 'linux'
+      : null;
+    const mobile = os === 'ios' || os === 'android';
+
+    const checks = {
+      'native-override': () => this.#nativeOverride(),
+      'getter-override': () => this.#getterOverride(),
+      'ua-platform': () => this.#platformMismatch(os),
+      'ua-renderer': () => this.#rendererMismatch(os),
+      'ua-cores': () => {
+        const cores = navigator.hardwareConcurrency;
+        return !Number.isInteger(cores) || cores < 1 || cores > 256 || (mobile && cores > 16);
+      },
+      'ua-touch': () => mobile && !(navigator.maxTouchPoints > 0),
+      'screen-avail': () => screen.availWidth > screen.width || screen.availHeight > screen.height ||
+        !screen.width || !screen.height
+    };
+
+    return CONSISTENCY_CHECKS.filter(name => {
+      try {
+        return checks[name]();
+      } catch {
+        return true; // Throwing where browsers don't is a tell too
+      }
+    });
+  }
+
+  /**
+   * Vector slots for the checks: 1 where one failed. ua-cores and ua-touch
+   * share a slot so the raw signals still fit 128.
+   */
+  async #consistencySignals() {
+    this.findings = await this.inconsistencies();
+    const failed = (name) => (this.findings.includes(name) ? 1 : 0);
+
+    return [
+      failed('native-override'),
+      failed('getter-override'),
+      failed('ua-platform'),
+      failed('ua-renderer'),
+      (failed('ua-cores') + failed('ua-touch')) / 2,
+      failed('screen-avail')
+    ];
+  }
+
+  // Functions fingerprinting reads through - the ones worth faking
+  #nativeOverride() {
+    const targets = [
+      Function.prototype.toString,
+      HTMLCanvasElement.prototype.toDataURL,
+      CanvasRenderingContext2D.prototype.getImageData,
+      CanvasRenderingContext2D.prototype.measureText,
+      window.WebGLRenderingContext?.prototype.getParameter,
+      window.AnalyserNode?.prototype.getFloatFrequencyData,
+      Date.prototype.getTimezoneOffset,
+      Intl.DateTimeFormat.prototype.resolvedOptions,
+      performance.now,
+      navigator.permissions?.query
+    ];
+    return targets.some(fn => fn !== undefined && !this.#isNative(fn));
+  }
+
+  // Native getters live on the prototype; a copy on the instance, or one
+  // written in JS, was put there
+  #getterOverride() {
+    const getters = [
+      [navigator, Navigator.prototype,
+        ['userAgent', 'platform', 'hardwareConcurrency', 'deviceMemory', 'webdriver', 'languages', 'maxTouchPoints', 'plugins', 'vendor']],
+      [screen, Screen.prototype, ['width', 'height', 'availWidth', 'availHeight', 'colorDepth']]
+    ];
+
+    return getters.some(([instance, prototype, names]) => names.some(name => {
+      if (Object.getOwnPropertyDescriptor(instance, name)) return true;
+      const descriptor = Object.getOwnPropertyDescriptor(prototype, name);
+      return descriptor !== undefined && (!descriptor.get || !this.#isNative(descriptor.get));
+    }));
+  }
+
+  #platformMismatch(os) {
+    const platform = navigator.platform || '';
+    const expected = {
+      windows: /^Win/,
+      mac: /^Mac/,
+      ios: /^(iPhone|iPad|iPod|MacIntel)/, // iPadOS asks for desktop sites as a Mac
+      android: /^(Linux|Android)/,
+      chromeos: /^(Linux|CrOS)/,
+      linux: /^Linux/
+    }[os];
+    if (expected && !expected.test(platform)) return true;
+
+    // Client hints name the OS too, where supported
+    const hinted = navigator.userAgentData?.platform;
+    const hints = { windows: 'Windows', mac: 'macOS', android: 'Android', chromeos: 'Chrome OS', linux: 'Linux' };
+    return !!(hinted && hints[os] && hinted !== hints[os]);
+  }
+
+  #rendererMismatch(os) {
+    const gl = document.createElement('canvas').getContext('webgl');
+    const info = gl?.getExtension('WEBGL_debug_renderer_info');
+    const renderer = info ? String(gl.getParameter(info.UNMASKED_RENDERER_WEBGL)) : '';
+    if (!renderer) return false;
+
+    // GPUs (and graphics APIs) that don't ship with the OS the UA claims
+    const foreign = {
+      windows: /Apple (M\d|GPU)|Metal|Mali|Adreno|PowerVR/,
+      mac: /Direct3D|D3D1\d|Mali|Adreno/,
+      ios: /Direct3D|NVIDIA|AMD|Radeon|Intel|Mali|Adreno/,
+      android: /Direct3D|Apple/,
+      chromeos: /Direct3D|Apple/,
+      linux: /Direct3D|Apple/
+    }[os];
+
+    // Software rasterizers: a server, whatever the UA says
+    const software = /SwiftShader|llvmpipe|softpipe/i.test(renderer) && os !== 'linux';
+    return software || !!foreign?.test(renderer);
+  }
+
+  // A native function has no prototype, no extra own properties, and
+  // prints as [native code] - through the real Function.prototype.toString
+  #isNative(fn) {
+    if (typeof fn !== 'function') return false;
+    const source = Function.prototype.toString.call(fn);
+    const own = Object.getOwnPropertyNames(fn).filter(name => name !== 'length' && name !== 'name');
+    return /\{\s*\[native code\]\s*\}$/.test(source) && !own.length && !('prototype' in fn);
+  }
+
   // ========== CHALLENGE METHODS ==========
 
-  async #proofOfWork(challenge, difficulty) {
-    const target = '0'.repeat(difficulty);
-    let nonce = 0;
-    const maxIterations = 1000000;
+  /**
+   * Solve in workers so the page keeps scrolling. Difficulty is leading
+   * zero bits; expected work is 2^difficulty hashes split across workers.
+   */
+  async #proofOfWork(challenge, difficulty, { onProgress, signal, expires = Date.now() + 5 * 60 * 1000 } = {}) {
+    if (signal?.aborted) return null;
+    if (typeof Worker === 'undefined') {
+      return this.#proofOfWorkInline(challenge, difficulty, { onProgress, signal, expires });
+    }
+
+    const count = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+    const expected = 2 ** difficulty;
+    const started = performance.now();
+    let hashes = 0;
+    let running = count;
+    let failed = 0;
+
+    return new Promise(resolve => {
+      const workers = [];
 
-    while (nonce < maxIterations) {
-      const attempt = await this.#hash(challenge + nonce);
-      if (attempt.startsWith(target)) {
-        return { nonce, hash: attempt };
+      const finish = (result) => {
+        workers.forEach(w => w.terminate());
+        signal?.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+      const onAbort = () => finish(null);
+      signal?.addEventListener('abort', onAbort);
+
+      for (let i = 0; i < count; i++) {
+        const worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+          if (data.type === 'progress') {
+            hashes += data.hashes;
+            const seconds = (performance.now() - started) / 1000;
+            onProgress?.({ hashes, expected, rate: hashes / Math.max(seconds, 0.001) });
+          } else if (data.type === 'found') {
+            finish({ challenge, nonce: data.nonce, hash: data.hash });
+          } else if (--running === 0) {
+            finish(null); // Every worker ran out of time
+          }
+        };
+
+        // Module workers unsupported or blocked - search on this thread
+        worker.onerror = () => {
+          if (++failed === count) {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(this.#proofOfWorkInline(challenge, difficulty, { onProgress, signal, expires }));
+          } else if (--running === 0) {
+            finish(null);
+          }
+        };
+
+        worker.postMessage({ challenge, difficulty, start: i, step: count, expires, engine: this.powEngine });
+        workers.push(worker);
       }
-      nonce++;
-      // Yield every 1000 iterations
-      if (nonce % 1000 === 0) {
-        await new Promise(r => setTimeout(r, 0));
+    });
+  }
+
+  async #proofOfWorkInline(challenge, difficulty, { onProgress, signal, expires }) {
+    const slice = 5000;
+    const expected = 2 ** difficulty;
+    const started = performance.now();
+    let next = 0;
+    let hashes = 0;
+
+    while (Date.now() < expires && !signal?.aborted) {
+      const result = this.powSearch(challenge, difficulty, { start: next, budget: slice });
+      if (result.hash) {
+        return { challenge, nonce: result.nonce, hash: result.hash };
       }
+
+      next = result.next;
+      hashes += slice;
+      const seconds = (performance.now() - started) / 1000;
+      onProgress?.({ hashes, expected, rate: hashes / Math.max(seconds, 0.001) });
+
+      // Yield between slices
+      await new Promise(r => setTimeout(r, 0));
     }
 
-    return null; // Failed
+    return null; // Expired or cancelled
   }
 
   async #behavioralChallenge(data) {
-    // Collect behavioral signals over time
+    // Collect behavioral signals over time. Pointer Events cover mouse,
+    // touch and pen alike; keys are timed but never identified.
     return new Promise(resolve => {
       const signals = {
         mouseMovements: [],
         scrollEvents: [],
-        keyPresses: []
+        keyPresses: [],
+        touches: [],
+        keystrokes: []
+      };
+      const contacts = new Map(); // pointerId -> contact number
+      const held = new Map();     // key code -> press time; stays in here
+
+      // Within the protocol's bounds; script-dispatched events don't count
+      const record = (list, max, item) => { if (list.length < max) list.push(item); };
+      const pointer = (phase) => (e) => {
+        if (!e.isTrusted) return;
+        if (e.pointerType === 'mouse') {
+          if (phase === 'move') record(signals.mouseMovements, 5000, { x: e.clientX, y: e.clientY, t: Date.now() });
+          return;
+        }
+        if (!contacts.has(e.pointerId)) contacts.set(e.pointerId, contacts.size % POINTER_CONTACTS);
+        record(signals.touches, 5000, {
+          id: contacts.get(e.pointerId),
+          type: e.pointerType === 'pen' ? 'pen' : 'touch',
+          phase,
+          x: e.clientX,
+          y: e.clientY,
+          t: performance.now(),
+          pressure: Math.min(1, Math.max(0, e.pressure || 0)),
+          width: Math.min(1000, e.width || 0),
+          height: Math.min(1000, e.height || 0)
+        });
       };
 
       const handlers = {
-        mousemove: (e) => signals.mouseMovements.push({ x: e.clientX, y: e.clientY, t: Date.now() }),
-        scroll: () => signals.scrollEvents.push({ y: window.scrollY, t: Date.now() }),
-        keydown: () => signals.keyPresses.push({ t: Date.now() })
+        pointerdown: pointer('down'),
+        pointermove: pointer('move'),
+        pointerup: pointer('up'),
+        pointercancel: pointer('up'), // The browser took over to pan or zoom
+        scroll: (e) => e.isTrusted && record(signals.scrollEvents, 5000, { y: window.scrollY, t: Date.now() }),
+        keydown: (e) => {
+          if (!e.isTrusted || e.repeat) return;
+          record(signals.keyPresses, 5000, { t: Date.now() });
+          held.set(e.code, performance.now());
+        },
+        keyup: (e) => {
+          if (!e.isTrusted || !held.has(e.code)) return;
+          record(signals.keystrokes, 1000, { down: held.get(e.code), up: performance.now() });
+          held.delete(e.code);
+        }
       };
 
       Object.entries(handlers).forEach(([event, handler]) => {
@@ -376,6 +727,8 @@ export class VectorGate {
         Object.entries(handlers).forEach(([event, handler]) => {
           document.removeEventListener(event, handler);
         });
+        // Released out of order when typing fast - flight times want press order
+        signals.keystrokes.sort((a, b) => a.down - b.down);
         resolve(signals);
       }, data.duration || 5000);
     });
@@ -393,7 +746,10 @@ export class VectorGate {
 
   // ========== UTILITY METHODS ==========
 
-  #normalize(values, targetLength) {
+  /**
+   * Downsample or stretch raw values to targetLength, clamped to 0-1
+   */
+  normalize(values, targetLength) {
     const result = new Float32Array(targetLength);
 
     if (values.length >= targetLength) {
@@ -438,20 +794,4 @@ export class VectorGate {
     while (floats.length < count) floats.push(0);
     return floats;
   }
-
-  #variance(values) {
-    const mean = values.reduce((a, b) => a + b, 0) / values.length;
-    return values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
-  }
-
-  #entropy(values) {
-    const counts = {};
-    const binned = values.map(v => Math.floor(v * 10));
-    binned.forEach(v => counts[v] = (counts[v] || 0) + 1);
-    const total = binned.length;
-    return -Object.values(counts).reduce((e, c) => {
-      const p = c / total;
-      return e + p * Math.log2(p);
-    }, 0);
-  }
 }
@@ -0,0 +1,87 @@
+/**
+ * vector-gate.wasm.js - Deep Fingerprinting Module (WASM core)
+ * Same API as vector-gate.js. Signal collection stays in JS - the
+ * browser APIs live there - and the numbers go through vector-gate.wasm
+ * for normalisation, scoring, entropy and PoW hashing.
+ *
+ * Throws on import if WebAssembly is unavailable; gate.js then falls
+ * back to vector-gate.js.
+ */
+
+import { VectorGate as VectorGateJS } from './vector-gate.js';
+import { search as searchJS, toHex } from './pow.js';
+
+const url = new URL('./vector-gate.wasm', import.meta.url);
+const imports = { env: { log2: Math.log2 } };
+
+async function instantiate() {
+  if (WebAssembly.instantiateStreaming) {
+    try {
+      return (await WebAssembly.instantiateStreaming(fetch(url), imports)).instance;
+    } catch {
+      // Wrong MIME type on some servers - retry from bytes
+    }
+  }
+  const bytes = await (await fetch(url)).arrayBuffer();
+  return (await WebAssembly.instantiate(bytes, imports)).instance;
+}
+
+const wasm = (await instantiate()).exports;
+
+// Memory never grows, so views stay valid
+const heap = new Uint8Array(wasm.memory.buffer);
+const raw = new Float64Array(wasm.memory.buffer, wasm.RAW.value, 1024);
+const vector = new Float32Array(wasm.memory.buffer, wasm.VECTOR.value, 1024);
+const challengeBytes = heap.subarray(wasm.CHALLENGE.value, wasm.RAW.value);
+const digest = heap.subarray(wasm.DIGEST.value, wasm.DIGEST.value + 32);
+
+let prepared = null; // Challenge whose midstate is loaded
+
+/**
+ * Drop-in for pow.js search() - same arguments, same results
+ */
+export function search(challenge, difficulty, { start = 0, step = 1, budget = 65536 } = {}) {
+  if (challenge !== prepared) {
+    const bytes = new TextEncoder().encode(challenge);
+    if (bytes.length > challengeBytes.length) {
+      return searchJS(challenge, difficulty, { start, step, budget });
+    }
+    challengeBytes.set(bytes);
+    wasm.pow_prepare(bytes.length);
+    prepared = challenge;
+  }
+
+  const nonce = wasm.pow_search(difficulty, start, step, budget);
+  if (nonce >= 0) {
+    return { nonce, hash: toHex(digest) };
+  }
+  return { next: start + budget * step };
+}
+
+export class VectorGate extends VectorGateJS {
+  constructor() {
+    super();
+    this.powEngine = 'wasm';
+    this.powSearch = search;
+  }
+
+  normalize(values, targetLength) {
+    if (values.length > raw.length || targetLength > vector.length) {
+      return super.normalize(values, targetLength);
+    }
+
+    raw.set(values);
+    wasm.normalize(wasm.RAW.value, values.length, wasm.VECTOR.value, targetLength);
+    return vector.slice(0, targetLength);
+  }
+
+  /**
+   * Expects a Float32Array, as fingerprint() returns
+   */
+  async heuristicScore(input) {
+    if (input.length > vector.length) return super.heuristicScore(input);
+
+    vector.set(input);
+    return wasm.attest(wasm.VECTOR.value, input.length);
+  }
+}
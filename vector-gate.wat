@@ -0,0 +1,400 @@
+;; vector-gate.wat - Vector Gate Core (WebAssembly)
+;; Source for vector-gate.wasm, loaded by vector-gate.wasm.js.
+;; Scoring, normalisation, entropy and PoW hashing. No browser access:
+;; signals arrive as numbers in memory, Math.log2 arrives as an import.
+;;
+;; Build: npx -p wabt wat2wasm vector-gate.wat -o vector-gate.wasm
+;;
+;; Results must match vector-gate.js bit for bit - same operations in
+;; the same order, f64 arithmetic, f32 storage.
+
+(module
+  (import "env" "log2" (func $log2 (param f64) (result f64)))
+
+  (memory (export "memory") 1)
+
+  ;; ========== LAYOUT ==========
+
+  (global $K i32 (i32.const 0))          ;; 64 x u32 SHA-256 round constants
+  (global $W i32 (i32.const 256))        ;; 64 x u32 message schedule
+  (global $H0 i32 (i32.const 512))       ;; 8 x u32 initial hash
+  (global $MID i32 (i32.const 544))      ;; 8 x u32 state after the challenge prefix
+  (global $STATE i32 (i32.const 576))    ;; 8 x u32 working state
+  (global $TAIL i32 (i32.const 608))     ;; 128 bytes: final one or two blocks
+  (global $DIGITS i32 (i32.const 736))   ;; 24 bytes: nonce in decimal
+  (global $BINS i32 (i32.const 768))     ;; 12 x u32 entropy bins: 0-10, NaN
+
+  (global $DIGEST (export "DIGEST") i32 (i32.const 832))      ;; 32 bytes
+  (global $CHALLENGE (export "CHALLENGE") i32 (i32.const 1024))  ;; up to 3072 bytes
+  (global $RAW (export "RAW") i32 (i32.const 4096))        ;; up to 1024 x f64
+  (global $VECTOR (export "VECTOR") i32 (i32.const 12288))    ;; up to 1024 x f32
+  (global $SCRATCH i32 (i32.const 16384))             ;; up to 1024 x f32
+
+  (global $prefixLen (mut i32) (i32.const 0))
+
+  (data (i32.const 0)
+    "\98\2f\8a\42\91\44\37\71\cf\fb\c0\b5\a5\db\b5\e9\5b\c2\56\39\f1\11\f1\59\a4\82\3f\92\d5\5e\1c\ab"
+    "\98\aa\07\d8\01\5b\83\12\be\85\31\24\c3\7d\0c\55\74\5d\be\72\fe\b1\de\80\a7\06\dc\9b\74\f1\9b\c1"
+    "\c1\69\9b\e4\86\47\be\ef\c6\9d\c1\0f\cc\a1\0c\24\6f\2c\e9\2d\aa\84\74\4a\dc\a9\b0\5c\da\88\f9\76"
+    "\52\51\3e\98\6d\c6\31\a8\c8\27\03\b0\c7\7f\59\bf\f3\0b\e0\c6\47\91\a7\d5\51\63\ca\06\67\29\29\14"
+    "\85\0a\b7\27\38\21\1b\2e\fc\6d\2c\4d\13\0d\38\53\54\73\0a\65\bb\0a\6a\76\2e\c9\c2\81\85\2c\72\92"
+    "\a1\e8\bf\a2\4b\66\1a\a8\70\8b\4b\c2\a3\51\6c\c7\19\e8\92\d1\24\06\99\d6\85\35\0e\f4\70\a0\6a\10"
+    "\16\c1\a4\19\08\6c\37\1e\4c\77\48\27\b5\bc\b0\34\b3\0c\1c\39\4a\aa\d8\4e\4f\ca\9c\5b\f3\6f\2e\68"
+    "\ee\82\8f\74\6f\63\a5\78\14\78\c8\84\08\02\c7\8c\fa\ff\be\90\eb\6c\50\a4\f7\a3\f9\be\f2\78\71\c6")
+
+  (data (i32.const 512)
+    "\67\e6\09\6a\85\ae\67\bb\72\f3\6e\3c\3a\f5\4f\a5\7f\52\0e\51\8c\68\05\9b\ab\d9\83\1f\19\cd\e0\5b")
+
+  ;; ========== SCORING ==========
+
+  ;; Population variance of f32 values, accumulated in f64
+  (func $variance (export "variance") (param $ptr i32) (param $len i32) (result f64)
+    (local $i i32) (local $sum f64) (local $mean f64) (local $d f64)
+    (if (i32.eqz (local.get $len)) (then (return (f64.const nan))))
+
+    (loop $mean
+      (local.set $sum (f64.add (local.get $sum)
+        (f64.promote_f32 (f32.load (i32.add (local.get $ptr) (i32.shl (local.get $i) (i32.const 2)))))))
+      (br_if $mean (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len))))
+    (local.set $mean (f64.div (local.get $sum) (f64.convert_i32_u (local.get $len))))
+
+    (local.set $sum (f64.const 0))
+    (local.set $i (i32.const 0))
+    (loop $squares
+      (local.set $d (f64.sub
+        (f64.promote_f32 (f32.load (i32.add (local.get $ptr) (i32.shl (local.get $i) (i32.const 2)))))
+        (local.get $mean)))
+      (local.set $sum (f64.add (local.get $sum) (f64.mul (local.get $d) (local.get $d))))
+      (br_if $squares (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len))))
+
+    (f64.div (local.get $sum) (f64.convert_i32_u (local.get $len))))
+
+  ;; Shannon entropy (bits) of values binned to tenths.
+  ;; Bins are summed 0..10 then NaN, the order vector-gate.js sees them in.
+  ;; Expects values in [0, 1] like fingerprint() produces.
+  (func $entropy (export "entropy") (param $ptr i32) (param $len i32) (result f64)
+    (local $i i32) (local $v f64) (local $bin i32) (local $count i32) (local $p f64) (local $e f64)
+    (memory.fill (global.get $BINS) (i32.const 0) (i32.const 48))
+
+    (if (i32.eqz (local.get $len)) (then (return (f64.neg (f64.const 0)))))
+
+    (loop $bin
+      (local.set $v (f64.floor (f64.mul
+        (f64.promote_f32 (f32.load (i32.add (local.get $ptr) (i32.shl (local.get $i) (i32.const 2)))))
+        (f64.const 10))))
+      ;; NaN gets its own bin; out-of-range values are clamped to 0-10
+      (local.set $bin (select
+        (i32.const 11)
+        (i32.trunc_sat_f64_s (f64.max (f64.const 0) (f64.min (f64.const 10) (local.get $v))))
+        (f64.ne (local.get $v) (local.get $v))))
+      (i32.store (i32.add (global.get $BINS) (i32.shl (local.get $bin) (i32.const 2)))
+        (i32.add (i32.load (i32.add (global.get $BINS) (i32.shl (local.get $bin) (i32.const 2)))) (i32.const 1)))
+      (br_if $bin (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len))))
+
+    (local.set $i (i32.const 0))
+    (loop $sum
+      (local.set $count (i32.load (i32.add (global.get $BINS) (i32.shl (local.get $i) (i32.const 2)))))
+      (if (local.get $count)
+        (then
+          (local.set $p (f64.div (f64.convert_i32_u (local.get $count)) (f64.convert_i32_u (local.get $len))))
+          (local.set $e (f64.add (local.get $e) (f64.mul (local.get $p) (call $log2 (local.get $p)))))))
+      (br_if $sum (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 12))))
+
+    (f64.neg (local.get $e)))
+
+  ;; Organic score of a fingerprint vector - mirrors VectorGate.attest()
+  (func (export "attest") (param $ptr i32) (param $len i32) (result f64)
+    (local $score f64) (local $i i32) (local $j i32) (local $v f32) (local $count i32)
+    (local $median f64) (local $end i32)
+    (local.set $score (f64.const 0.5))
+
+    ;; Natural variance is good
+    (if (f64.gt (call $variance (local.get $ptr) (local.get $len)) (f64.const 0.1))
+      (then (local.set $score (f64.add (local.get $score) (f64.const 0.1)))))
+
+    ;; Too many zeros = suspicious
+    (block $done
+      (br_if $done (i32.eqz (local.get $len)))
+      (loop $zeros
+        (if (f32.eq (f32.load (i32.add (local.get $ptr) (i32.shl (local.get $i) (i32.const 2)))) (f32.const 0))
+          (then (local.set $count (i32.add (local.get $count) (i32.const 1)))))
+        (br_if $zeros (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len)))))
+    (if (f64.gt (f64.convert_i32_u (local.get $count))
+                (f64.mul (f64.convert_i32_u (local.get $len)) (f64.const 0.3)))
+      (then (local.set $score (f64.sub (local.get $score) (f64.const 0.2)))))
+
+    ;; Too uniform: most values within 0.01 of the median
+    (if (local.get $len)
+      (then
+        ;; Insertion sort a copy
+        (memory.copy (global.get $SCRATCH) (local.get $ptr) (i32.shl (local.get $len) (i32.const 2)))
+        (local.set $i (i32.const 1))
+        (block $sorted
+          (br_if $sorted (i32.le_u (local.get $len) (i32.const 1)))
+          (loop $outer
+            (local.set $v (f32.load (i32.add (global.get $SCRATCH) (i32.shl (local.get $i) (i32.const 2)))))
+            (local.set $j (local.get $i))
+            (block $placed
+              (loop $inner
+                (br_if $placed (i32.eqz (local.get $j)))
+                (br_if $placed (i32.eqz (f32.gt
+                  (f32.load (i32.add (global.get $SCRATCH) (i32.shl (i32.sub (local.get $j) (i32.const 1)) (i32.const 2))))
+                  (local.get $v))))
+                (f32.store (i32.add (global.get $SCRATCH) (i32.shl (local.get $j) (i32.const 2)))
+                  (f32.load (i32.add (global.get $SCRATCH) (i32.shl (i32.sub (local.get $j) (i32.const 1)) (i32.const 2)))))
+                (local.set $j (i32.sub (local.get $j) (i32.const 1)))
+                (br $inner)))
+            (f32.store (i32.add (global.get $SCRATCH) (i32.shl (local.get $j) (i32.const 2))) (local.get $v))
+            (br_if $outer (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len)))))
+
+        (local.set $median (f64.promote_f32 (f32.load (i32.add (global.get $SCRATCH)
+          (i32.shl (i32.shr_u (local.get $len) (i32.const 1)) (i32.const 2))))))
+
+        (local.set $count (i32.const 0))
+        (local.set $i (i32.const 0))
+        (loop $near
+          (if (f64.lt (f64.abs (f64.sub
+                (f64.promote_f32 (f32.load (i32.add (local.get $ptr) (i32.shl (local.get $i) (i32.const 2)))))
+                (local.get $median)))
+              (f64.const 0.01))
+            (then (local.set $count (i32.add (local.get $count) (i32.const 1)))))
+          (br_if $near (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $len))))
+        (if (f64.gt (f64.convert_i32_u (local.get $count))
+                    (f64.mul (f64.convert_i32_u (local.get $len)) (f64.const 0.5)))
+          (then (local.set $score (f64.sub (local.get $score) (f64.const 0.15)))))))
+
+    ;; Good timing entropy (dimensions 64-79)
+    (local.set $end (select (local.get $len) (i32.const 80) (i32.lt_u (local.get $len) (i32.const 80))))
+    (if (f64.gt
+          (call $entropy
+            (i32.add (local.get $ptr) (i32.const 256))
+            (select (i32.sub (local.get $end) (i32.const 64)) (i32.const 0) (i32.gt_u (local.get $end) (i32.const 64))))
+          (f64.const 3))
+      (then (local.set $score (f64.add (local.get $score) (f64.const 0.1)))))
+
+    (f64.max (f64.const 0) (f64.min (f64.const 1) (local.get $score))))
+
+  ;; Raw f64 signals -> `target` f32 values in [0, 1] - mirrors #normalize
+  (func (export "normalize") (param $raw i32) (param $count i32) (param $out i32) (param $target i32)
+    (local $i i32) (local $idx i32) (local $at i32)
+    (if (i32.eqz (local.get $target)) (then (return)))
+
+    (if (i32.ge_u (local.get $count) (local.get $target))
+      (then
+        ;; Downsample
+        (loop $down
+          (local.set $idx (i32.trunc_f64_u (f64.floor (f64.div
+            (f64.convert_i32_u (i32.mul (local.get $i) (local.get $count)))
+            (f64.convert_i32_u (local.get $target))))))
+          (f32.store (i32.add (local.get $out) (i32.shl (local.get $i) (i32.const 2)))
+            (f32.demote_f64 (f64.load (i32.add (local.get $raw) (i32.shl (local.get $idx) (i32.const 3))))))
+          (br_if $down (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $target)))))
+      (else
+        ;; Copy what we have
+        (block $copied
+          (br_if $copied (i32.eqz (local.get $count)))
+          (loop $copy
+            (f32.store (i32.add (local.get $out) (i32.shl (local.get $i) (i32.const 2)))
+              (f32.demote_f64 (f64.load (i32.add (local.get $raw) (i32.shl (local.get $i) (i32.const 3))))))
+            (br_if $copy (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $count)))))
+
+        ;; Fill the rest from earlier values
+        (loop $fill
+          (local.set $at (i32.add (local.get $out) (i32.shl (local.get $i) (i32.const 2))))
+          (f32.store (local.get $at)
+            (if (result f32) (local.get $count)
+              (then
+                (f32.demote_f64 (f64.add
+                  (f64.mul (f64.promote_f32 (f32.load (i32.sub (local.get $at) (i32.const 4)))) (f64.const 0.7))
+                  (f64.mul (f64.promote_f32 (f32.load (i32.add (local.get $out)
+                    (i32.shl (i32.rem_u (local.get $i) (local.get $count)) (i32.const 2))))) (f64.const 0.3)))))
+              (else (f32.const nan))))
+          (br_if $fill (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $target))))))
+
+    ;; Ensure 0-1 range
+    (local.set $i (i32.const 0))
+    (loop $clamp
+      (local.set $at (i32.add (local.get $out) (i32.shl (local.get $i) (i32.const 2))))
+      (f32.store (local.get $at)
+        (f32.demote_f64 (f64.max (f64.const 0) (f64.min (f64.const 1) (f64.promote_f32 (f32.load (local.get $at)))))))
+      (br_if $clamp (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (local.get $target)))))
+
+  ;; ========== SHA-256 ==========
+
+  (func $load_be32 (param $p i32) (result i32)
+    (i32.or
+      (i32.or
+        (i32.shl (i32.load8_u (local.get $p)) (i32.const 24))
+        (i32.shl (i32.load8_u offset=1 (local.get $p)) (i32.const 16)))
+      (i32.or
+        (i32.shl (i32.load8_u offset=2 (local.get $p)) (i32.const 8))
+        (i32.load8_u offset=3 (local.get $p)))))
+
+  (func $store_be32 (param $p i32) (param $v i32)
+    (i32.store8 (local.get $p) (i32.shr_u (local.get $v) (i32.const 24)))
+    (i32.store8 offset=1 (local.get $p) (i32.shr_u (local.get $v) (i32.const 16)))
+    (i32.store8 offset=2 (local.get $p) (i32.shr_u (local.get $v) (i32.const 8)))
+    (i32.store8 offset=3 (local.get $p) (local.get $v)))
+
+  ;; Fold one 64-byte block into STATE
+  (func $compress (param $block i32)
+    (local $i i32) (local $x i32) (local $y i32) (local $t1 i32) (local $t2 i32)
+    (local $a i32) (local $b i32) (local $c i32) (local $d i32)
+    (local $e i32) (local $f i32) (local $g i32) (local $h i32)
+
+    (loop $load
+      (i32.store (i32.add (global.get $W) (i32.shl (local.get $i) (i32.const 2)))
+        (call $load_be32 (i32.add (local.get $block) (i32.shl (local.get $i) (i32.const 2)))))
+      (br_if $load (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 16))))
+
+    (loop $extend
+      (local.set $x (i32.load (i32.add (global.get $W) (i32.shl (i32.sub (local.get $i) (i32.const 15)) (i32.const 2)))))
+      (local.set $y (i32.load (i32.add (global.get $W) (i32.shl (i32.sub (local.get $i) (i32.const 2)) (i32.const 2)))))
+      (i32.store (i32.add (global.get $W) (i32.shl (local.get $i) (i32.const 2)))
+        (i32.add
+          (i32.add
+            (i32.load (i32.add (global.get $W) (i32.shl (i32.sub (local.get $i) (i32.const 16)) (i32.const 2))))
+            (i32.xor (i32.xor (i32.rotr (local.get $x) (i32.const 7)) (i32.rotr (local.get $x) (i32.const 18)))
+                     (i32.shr_u (local.get $x) (i32.const 3))))
+          (i32.add
+            (i32.load (i32.add (global.get $W) (i32.shl (i32.sub (local.get $i) (i32.const 7)) (i32.const 2))))
+            (i32.xor (i32.xor (i32.rotr (local.get $y) (i32.const 17)) (i32.rotr (local.get $y) (i32.const 19)))
+                     (i32.shr_u (local.get $y) (i32.const 10))))))
+      (br_if $extend (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 64))))
+
+    (local.set $a (i32.load (global.get $STATE)))
+    (local.set $b (i32.load offset=4 (global.get $STATE)))
+    (local.set $c (i32.load offset=8 (global.get $STATE)))
+    (local.set $d (i32.load offset=12 (global.get $STATE)))
+    (local.set $e (i32.load offset=16 (global.get $STATE)))
+    (local.set $f (i32.load offset=20 (global.get $STATE)))
+    (local.set $g (i32.load offset=24 (global.get $STATE)))
+    (local.set $h (i32.load offset=28 (global.get $STATE)))
+
+    (local.set $i (i32.const 0))
+    (loop $round
+      (local.set $t1 (i32.add
+        (i32.add
+          (i32.add (local.get $h)
+            (i32.xor (i32.xor (i32.rotr (local.get $e) (i32.const 6)) (i32.rotr (local.get $e) (i32.const 11)))
+                     (i32.rotr (local.get $e) (i32.const 25))))
+          (i32.xor (i32.and (local.get $e) (local.get $f))
+                   (i32.and (i32.xor (local.get $e) (i32.const -1)) (local.get $g))))
+        (i32.add
+          (i32.load (i32.add (global.get $K) (i32.shl (local.get $i) (i32.const 2))))
+          (i32.load (i32.add (global.get $W) (i32.shl (local.get $i) (i32.const 2)))))))
+      (local.set $t2 (i32.add
+        (i32.xor (i32.xor (i32.rotr (local.get $a) (i32.const 2)) (i32.rotr (local.get $a) (i32.const 13)))
+                 (i32.rotr (local.get $a) (i32.const 22)))
+        (i32.xor (i32.xor (i32.and (local.get $a) (local.get $b)) (i32.and (local.get $a) (local.get $c)))
+                 (i32.and (local.get $b) (local.get $c)))))
+      (local.set $h (local.get $g))
+      (local.set $g (local.get $f))
+      (local.set $f (local.get $e))
+      (local.set $e (i32.add (local.get $d) (local.get $t1)))
+      (local.set $d (local.get $c))
+      (local.set $c (local.get $b))
+      (local.set $b (local.get $a))
+      (local.set $a (i32.add (local.get $t1) (local.get $t2)))
+      (br_if $round (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 64))))
+
+    (i32.store (global.get $STATE) (i32.add (i32.load (global.get $STATE)) (local.get $a)))
+    (i32.store offset=4 (global.get $STATE) (i32.add (i32.load offset=4 (global.get $STATE)) (local.get $b)))
+    (i32.store offset=8 (global.get $STATE) (i32.add (i32.load offset=8 (global.get $STATE)) (local.get $c)))
+    (i32.store offset=12 (global.get $STATE) (i32.add (i32.load offset=12 (global.get $STATE)) (local.get $d)))
+    (i32.store offset=16 (global.get $STATE) (i32.add (i32.load offset=16 (global.get $STATE)) (local.get $e)))
+    (i32.store offset=20 (global.get $STATE) (i32.add (i32.load offset=20 (global.get $STATE)) (local.get $f)))
+    (i32.store offset=24 (global.get $STATE) (i32.add (i32.load offset=24 (global.get $STATE)) (local.get $g)))
+    (i32.store offset=28 (global.get $STATE) (i32.add (i32.load offset=28 (global.get $STATE)) (local.get $h))))
+
+  ;; ========== PROOF OF WORK ==========
+
+  ;; Hash the whole 64-byte blocks of CHALLENGE once; searches reuse the midstate
+  (func (export "pow_prepare") (param $len i32)
+    (local $off i32)
+    (global.set $prefixLen (local.get $len))
+    (memory.copy (global.get $STATE) (global.get $H0) (i32.const 32))
+    (block $done
+      (loop $block
+        (br_if $done (i32.gt_u (i32.add (local.get $off) (i32.const 64)) (local.get $len)))
+        (call $compress (i32.add (global.get $CHALLENGE) (local.get $off)))
+        (local.set $off (i32.add (local.get $off) (i32.const 64)))
+        (br $block)))
+    (memory.copy (global.get $MID) (global.get $STATE) (i32.const 32)))
+
+  ;; Try `budget` nonces start, start + step ... Returns the first whose
+  ;; SHA-256(challenge + nonce) has `difficulty` leading zero bits (digest
+  ;; left in DIGEST), or -1.
+  (func (export "pow_search") (param $difficulty i32) (param $start f64) (param $step f64) (param $budget i32) (result f64)
+    (local $nonce i64) (local $stride i64) (local $n i64) (local $rem i32)
+    (local $pos i32) (local $len i32) (local $total i32) (local $size i32)
+    (local $bits i64) (local $zeros i32) (local $i i32) (local $w i32)
+
+    (local.set $nonce (i64.trunc_sat_f64_u (local.get $start)))
+    (local.set $stride (i64.trunc_sat_f64_u (local.get $step)))
+
+    ;; Bytes of the challenge after its last whole block
+    (local.set $rem (i32.and (global.get $prefixLen) (i32.const 63)))
+    (memory.copy (global.get $TAIL)
+      (i32.add (global.get $CHALLENGE) (i32.sub (global.get $prefixLen) (local.get $rem)))
+      (local.get $rem))
+
+    (block $exhausted
+      (br_if $exhausted (i32.le_s (local.get $budget) (i32.const 0)))
+      (loop $try
+        ;; Nonce in decimal, written backwards from the end of DIGITS
+        (local.set $n (local.get $nonce))
+        (local.set $pos (i32.add (global.get $DIGITS) (i32.const 24)))
+        (loop $digit
+          (local.set $pos (i32.sub (local.get $pos) (i32.const 1)))
+          (i32.store8 (local.get $pos) (i32.add (i32.const 48) (i32.wrap_i64 (i64.rem_u (local.get $n) (i64.const 10)))))
+          (br_if $digit (i64.ne (local.tee $n (i64.div_u (local.get $n) (i64.const 10))) (i64.const 0))))
+        (local.set $len (i32.sub (i32.add (global.get $DIGITS) (i32.const 24)) (local.get $pos)))
+
+        ;; Tail block(s): remainder + digits + 0x80 + zeros + 64-bit length
+        (local.set $total (i32.add (local.get $rem) (local.get $len)))
+        (memory.copy (i32.add (global.get $TAIL) (local.get $rem)) (local.get $pos) (local.get $len))
+        (i32.store8 (i32.add (global.get $TAIL) (local.get $total)) (i32.const 0x80))
+        (local.set $size (select (i32.const 64) (i32.const 128)
+          (i32.le_u (i32.add (local.get $total) (i32.const 9)) (i32.const 64))))
+        (memory.fill (i32.add (i32.add (global.get $TAIL) (local.get $total)) (i32.const 1))
+          (i32.const 0)
+          (i32.sub (local.get $size) (i32.add (local.get $total) (i32.const 9))))
+        (local.set $bits (i64.shl (i64.extend_i32_u (i32.add (global.get $prefixLen) (local.get $len))) (i64.const 3)))
+        (call $store_be32 (i32.sub (i32.add (global.get $TAIL) (local.get $size)) (i32.const 8))
+          (i32.wrap_i64 (i64.shr_u (local.get $bits) (i64.const 32))))
+        (call $store_be32 (i32.sub (i32.add (global.get $TAIL) (local.get $size)) (i32.const 4))
+          (i32.wrap_i64 (local.get $bits)))
+
+        (memory.copy (global.get $STATE) (global.get $MID) (i32.const 32))
+        (call $compress (global.get $TAIL))
+        (if (i32.eq (local.get $size) (i32.const 128))
+          (then (call $compress (i32.add (global.get $TAIL) (i32.const 64)))))
+
+        ;; Leading zero bits, straight off the state words
+        (local.set $zeros (i32.const 0))
+        (local.set $i (i32.const 0))
+        (block $counted
+          (loop $word
+            (local.set $w (i32.load (i32.add (global.get $STATE) (i32.shl (local.get $i) (i32.const 2)))))
+            (if (local.get $w)
+              (then
+                (local.set $zeros (i32.add (local.get $zeros) (i32.clz (local.get $w))))
+                (br $counted)))
+            (local.set $zeros (i32.add (local.get $zeros) (i32.const 32)))
+            (br_if $word (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 8)))))
+
+        (if (i32.ge_u (local.get $zeros) (local.get $difficulty))
+          (then
+            (local.set $i (i32.const 0))
+            (loop $out
+              (call $store_be32 (i32.add (global.get $DIGEST) (i32.shl (local.get $i) (i32.const 2)))
+                (i32.load (i32.add (global.get $STATE) (i32.shl (local.get $i) (i32.const 2)))))
+              (br_if $out (i32.lt_u (local.tee $i (i32.add (local.get $i) (i32.const 1))) (i32.const 8))))
+            (return (f64.convert_i64_u (local.get $nonce)))))
+
+        (local.set $nonce (i64.add (local.get $nonce) (local.get $stride)))
+        (br_if $try (i32.gt_s (local.tee $budget (i32.sub (local.get $budget) (i32.const 1))) (i32.const 0)))))
+
+    (f64.const -1))
+)
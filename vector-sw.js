@@ -1,458 +1,2165 @@
 /**
  * vector-sw.js - The Brain
  * Persists. Self-modifying. Self-loading. Infinite dance.
- * Gates ALL fetches. Unearned resources return 204.
+ * Gates ALL fetches by gate-policy.json. Unearned resources return 204 (or 404).
+ * Earned ones stay cached while they are earned, so the app works offline.
+ * Registered as a module worker (see gate.js).
  */
 
-const VERSION = '1.0.0';
-const CACHE_NAME = `squatch-v${VERSION}`;
+import { verifyRegistration, verifyAssertion, base64urlEncode, base64urlDecode } from './webauthn.js';
+import { verify as verifyWork } from './pow.js';
+import { POLICY_VERSION, attestationLifetime, carryStage, compilePolicy, evaluate, matchRule, modulesFor, stageFor, unlocksThrough } from './gate-policy.js';
+import { CAPABILITY_HEADER, PROOF_PATH, generateSigningKey, mintCapability, proveSigningKey } from './capability.js';
+import { PROTOCOL_VERSION, errorMessage, validateMessage } from './protocol.js';
+import { activeModels, behavioralMax, behavioralScore, compileModel, explain, fingerprintRules } from './organic-model.js';
+import { matchVisitor, MATCH_THRESHOLD } from './recognition.js';
+
+// Bump on every deploy: names the caches, and tells pages what they
+// were moved to (version-changed)
+const VERSION = '1.1.0';
+const CACHE_NAME = `squatch-v${VERSION}`;            // the gate, policy and model
+const MODULE_CACHE = `squatch-modules-v${VERSION}`;  // gated files, while unlocked
 
 // ========== STATE ==========
 
-let state = {
-  vector: null,
-  organic: 0,
-  stage: 0,
-  attestations: [],
-  unlocked: [],
-  signals: {},
-  cssSignals: {},
-  cssGatesCompleted: [],
-  initialized: false
+// One session per tab. gate.js negotiates a session token on `init`; a tab
+// that cannot keep one (storage blocked) is keyed by its client ID instead.
+const sessions = new Map();        // session id -> session
+const clientSessions = new Map();  // client id -> session id
+const lastUsed = new Map();        // session id -> ms, for SESSION_TTL
+
+// Idle sessions are dropped after this long
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+let prunedAt = 0;
+
+function createSession(id) {
+  return {
+    id,
+    vector: null,
+    organic: 0,
+    stage: 0,
+    attestations: [],
+    unlocked: [],
+    signals: {},
+    cssSignals: {},
+    cssGatesCompleted: [],
+    challenges: [],
+    escalation: createEscalation(),
+    visitor: null,      // Stored visitor this session was recognised as
+    recognition: null,  // Last match result, for the page
+    remember: true,     // Cleared by "forget me"
+    privacy: [],        // Anti-fingerprinting the page saw (protocol.js PRIVACY_SIGNALS)
+    assistive: false,   // Used by keyboard or assistive technology - gets the sequence task
+    initialized: false
+  };
+}
+
+/**
+ * Bind a client to the session named by its token (or to its own ID).
+ */
+function bindSession(clientId, token) {
+  const id = /^[0-9a-f]{32}$/.test(token || '') ? token : clientId;
+
+  let session = sessions.get(id);
+  if (!session) {
+    session = createSession(id);
+    sessions.set(id, session);
+  }
+  lastUsed.set(id, Date.now());
+
+  if (clientSessions.get(clientId) !== id) {
+    clientSessions.set(clientId, id);
+    saveBinding(clientId, id);
+  }
+
+  return session;
+}
+
+function sessionForClient(clientId) {
+  const id = clientId && clientSessions.get(clientId);
+  const session = (id && sessions.get(id)) || null;
+  if (session) lastUsed.set(id, Date.now());
+  return session;
+}
+
+/**
+ * Another page of the same tab (e.g. identity.html) joins by token.
+ * Only existing sessions can be joined; `init` is what creates them.
+ */
+function joinSession(clientId, token) {
+  if (!token || !sessions.has(token)) return null;
+  return bindSession(clientId, token);
+}
+
+/**
+ * What loadState() does on a restart, for a worker that stays up: unbind
+ * tabs that are gone and drop sessions idle past SESSION_TTL. At most
+ * once per PRUNE_INTERVAL.
+ */
+async function pruneSessions(now = Date.now()) {
+  if (now - prunedAt < PRUNE_INTERVAL) return;
+  prunedAt = now;
+
+  for (const clientId of [...clientSessions.keys()]) {
+    if (await self.clients.get(clientId)) continue;
+    clientSessions.delete(clientId);
+    dirtyBindings.set(clientId, null);
+  }
+
+  for (const id of [...sessions.keys()]) {
+    if (now - (lastUsed.get(id) || 0) <= SESSION_TTL) continue;
+    sessions.delete(id);
+    dirtySessions.add(id); // Not in `sessions` - deleted on next write
+    for (const map of [lastUsed, revisions, writers, capabilities]) map.delete(id);
+    for (const timers of [expiryTimers, escalationTimers]) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+    }
+    for (const [clientId, sessionId] of clientSessions) {
+      if (sessionId !== id) continue;
+      clientSessions.delete(clientId);
+      dirtyBindings.set(clientId, null);
+    }
+  }
+
+  if (dirtySessions.size || dirtyBindings.size) flushWrites();
+}
+
+// ========== PERSISTENCE ==========
+
+// The browser kills idle workers; sessions live in IndexedDB so a restarted
+// worker resumes where the last one stopped.
+const DB_NAME = 'squatch-sw';
+const DB_VERSION = 5;
+const STATE_SCHEMA = 8;
+
+// Fields written to disk (everything in a session is structured-cloneable)
+const PERSISTED_FIELDS = [
+  'vector', 'organic', 'stage', 'attestations', 'unlocked',
+  'signals', 'cssSignals', 'cssGatesCompleted', 'challenges', 'escalation',
+  'visitor', 'recognition', 'remember', 'privacy', 'assistive', 'initialized'
+];
+
+// Registered passkeys belong to the browser profile, not to one tab
+const credentials = new Map(); // credential id -> { id, alg, jwk, signCount, created }
+
+let db = null;
+let writeQueue = Promise.resolve();
+let writePending = false;
+const dirtySessions = new Set();
+const dirtyBindings = new Map();
+const dirtyCredentials = new Set();
+const dirtyVisitors = new Set();
+const revisions = new Map();
+const writers = new Map(); // session id -> VERSION of the worker that last wrote it
+
+// Every event handler awaits this before touching a session
+let stateReady = loadState();
+
+/**
+ * Open the database, upgraded to DB_VERSION. A rolled-back worker finds
+ * it newer than that and opens it as it is - versions only ever add
+ * stores. A newer worker upgrading it gets the connection; this one
+ * carries on in memory until it is replaced.
+ */
+function openDB(asIs = false) {
+  return new Promise((resolve, reject) => {
+    const request = asIs ? indexedDB.open(DB_NAME) : indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onerror = (event) => {
+      if (request.error?.name !== 'VersionError' || asIs) return reject(request.error);
+      event.preventDefault();
+      resolve(openDB(true));
+    };
+    request.onsuccess = () => {
+      const opened = request.result;
+      opened.onversionchange = () => {
+        opened.close();
+        if (db === opened) db = null;
+      };
+      resolve(opened);
+    };
+
+    request.onupgradeneeded = (event) => {
+      const upgradeDb = event.target.result;
+
+      // Stepwise: each block brings a database from version N-1 to N
+      if (event.oldVersion < 2) {
+        // v1 held one global record that cannot be attributed to a session
+        if (upgradeDb.objectStoreNames.contains('state')) {
+          upgradeDb.deleteObjectStore('state');
+        }
+        upgradeDb.createObjectStore('sessions', { keyPath: 'id' });
+        upgradeDb.createObjectStore('clients', { keyPath: 'clientId' });
+      }
+
+      if (event.oldVersion < 3) {
+        upgradeDb.createObjectStore('credentials', { keyPath: 'id' });
+      }
+
+      if (event.oldVersion < 4) {
+        upgradeDb.createObjectStore('keys', { keyPath: 'id' });
+      }
+
+      if (event.oldVersion < 5) {
+        upgradeDb.createObjectStore('visitors', { keyPath: 'id' });
+      }
+    };
+  });
+}
+
+function getAll(storeName) {
+  return new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function loadState() {
+  try {
+    db = await openDB();
+    const [records, bindings, stored, keys, known] = await Promise.all([
+      getAll('sessions'), getAll('clients'), getAll('credentials'), getAll('keys'), getAll('visitors')
+    ]);
+    const now = Date.now();
+
+    for (const record of records) {
+      if (now - (record.updated || 0) > SESSION_TTL) {
+        dirtySessions.add(record.id); // Not in `sessions` - deleted on next write
+        continue;
+      }
+
+      const migrated = migrateState(record);
+      const session = createSession(record.id);
+      for (const field of PERSISTED_FIELDS) {
+        if (field in migrated.data) session[field] = migrated.data[field];
+      }
+      sessions.set(record.id, session);
+      lastUsed.set(record.id, record.updated);
+      revisions.set(record.id, migrated.revision || 0);
+      writers.set(record.id, record.worker || null); // Before 1.1.0 nobody said
+    }
+
+    for (const credential of stored) credentials.set(credential.id, credential);
+
+    for (const visitor of known) {
+      if (now - visitor.lastSeen > VISITOR_TTL) dirtyVisitors.add(visitor.id); // Deleted on next write
+      else visitors.set(visitor.id, visitor);
+    }
+    signingKey = keys.find(k => k.id === 'signing') || null;
+
+    // Bindings outlive their tabs; keep only clients that still exist
+    const live = new Set((await self.clients.matchAll({ includeUncontrolled: true, type: 'all' })).map(c => c.id));
+    for (const { clientId, sessionId } of bindings) {
+      if (live.has(clientId) && sessions.has(sessionId)) {
+        clientSessions.set(clientId, sessionId);
+      } else {
+        dirtyBindings.set(clientId, null);
+      }
+    }
+
+    if (dirtySessions.size || dirtyBindings.size || dirtyVisitors.size) flushWrites();
+  } catch (e) {
+    // No IndexedDB (private mode, quota) - run memory-only
+    console.warn('[sw] State not restored:', e);
+  }
+}
+
+/**
+ * Everything again, as the worker we replace left it - it kept writing
+ * while we were installed and waiting
+ */
+async function reloadState() {
+  await writeQueue;
+  db?.close();
+  db = null;
+
+  for (const map of [sessions, clientSessions, lastUsed, credentials, visitors, revisions, writers, capabilities]) map.clear();
+  for (const dirty of [dirtySessions, dirtyBindings, dirtyCredentials, dirtyVisitors]) dirty.clear();
+  for (const timers of [expiryTimers, escalationTimers]) {
+    timers.forEach(clearTimeout);
+    timers.clear();
+  }
+
+  return loadState();
+}
+
+/**
+ * Bring a stored session record up to STATE_SCHEMA.
+ * Add a step here whenever the shape of a session changes. Steps only
+ * add fields, so a rolled-back worker can read what a newer one wrote.
+ */
+function migrateState(record) {
+  const migrated = { ...record, data: { ...record.data } };
+
+  // Unknown future schema: written by a newer worker, read what we recognise
+  if ((migrated.schema || 0) > STATE_SCHEMA) return migrated;
+
+  // Schema 1 -> 2: sessions are keyed records (handled by the v2 DB upgrade)
+  if ((migrated.schema || 0) < 2) {
+    migrated.schema = 2;
+  }
+
+  // Schema 2 -> 3: sessions hold SW-issued challenges
+  if (migrated.schema < 3) {
+    migrated.data.challenges = [];
+    migrated.schema = 3;
+  }
+
+  // Schema 3 -> 4: the score is summed from attestations, so the
+  // fingerprint one carries its share as a boost like the rest
+  if (migrated.schema < 4) {
+    const mediaBoost = (migrated.data.cssSignals?.mediaCount || 0) * 0.02;
+    migrated.data.attestations = (migrated.data.attestations || []).map(a =>
+      a.type === 'fingerprint' && a.boost === undefined
+        ? { ...a, boost: Math.min(1, (a.organic || 0) + mediaBoost) }
+        : a
+    );
+    migrated.schema = 4;
+  }
+
+  // Schema 4 -> 5: sessions track challenge escalation
+  if (migrated.schema < 5) {
+    migrated.data.escalation = createEscalation();
+    migrated.schema = 5;
+  }
+
+  // Schema 5 -> 6: sessions are linked to a returning visitor
+  if (migrated.schema < 6) {
+    migrated.data.visitor = null;
+    migrated.data.recognition = null;
+    migrated.data.remember = true;
+    migrated.schema = 6;
+  }
+
+  // Schema 6 -> 7: sessions know whether the browser is privacy-hardened
+  if (migrated.schema < 7) {
+    migrated.data.privacy = [];
+    migrated.schema = 7;
+  }
+
+  // Schema 7 -> 8: sessions know whether the page is used without a pointer
+  if (migrated.schema < 8) {
+    migrated.data.assistive = false;
+    migrated.schema = 8;
+  }
+
+  return migrated;
+}
+
+function saveState(session) {
+  dirtySessions.add(session.id);
+  return flushWrites();
+}
+
+function saveBinding(clientId, sessionId) {
+  dirtyBindings.set(clientId, sessionId);
+  return flushWrites();
+}
+
+function saveCredential(credential) {
+  dirtyCredentials.add(credential.id);
+  return flushWrites();
+}
+
+function saveVisitor(id) {
+  dirtyVisitors.add(id);
+  return flushWrites();
+}
+
+/**
+ * Queue a write of everything marked dirty.
+ * Writes are serialised, and bursts collapse into one transaction.
+ */
+function flushWrites() {
+  if (!db || writePending) return writeQueue;
+  writePending = true;
+
+  writeQueue = writeQueue.then(() => {
+    writePending = false;
+
+    const sessionIds = [...dirtySessions];
+    const bindings = [...dirtyBindings];
+    const credentialIds = [...dirtyCredentials];
+    const visitorIds = [...dirtyVisitors];
+    dirtySessions.clear();
+    dirtyBindings.clear();
+    dirtyCredentials.clear();
+    dirtyVisitors.clear();
+
+    return new Promise((resolve) => {
+      const tx = db.transaction(['sessions', 'clients', 'credentials', 'visitors'], 'readwrite');
+      const sessionStore = tx.objectStore('sessions');
+      const clientStore = tx.objectStore('clients');
+      const credentialStore = tx.objectStore('credentials');
+      const visitorStore = tx.objectStore('visitors');
+
+      for (const id of sessionIds) {
+        const session = sessions.get(id);
+        if (!session) {
+          sessionStore.delete(id);
+          continue;
+        }
+
+        const data = {};
+        for (const field of PERSISTED_FIELDS) data[field] = session[field];
+
+        // Read-then-write in one transaction so a second worker instance
+        // (old and new worker during an update) cannot interleave
+        const read = sessionStore.get(id);
+        read.onsuccess = () => {
+          const revision = Math.max(revisions.get(id) || 0, read.result?.revision || 0) + 1;
+          revisions.set(id, revision);
+          sessionStore.put({ id, schema: STATE_SCHEMA, worker: VERSION, revision, updated: Date.now(), data });
+        };
+      }
+
+      for (const [clientId, sessionId] of bindings) {
+        if (sessionId) clientStore.put({ clientId, sessionId });
+        else clientStore.delete(clientId);
+      }
+
+      for (const id of credentialIds) {
+        credentialStore.put(credentials.get(id));
+      }
+
+      for (const id of visitorIds) {
+        if (visitors.has(id)) visitorStore.put(visitors.get(id));
+        else visitorStore.delete(id);
+      }
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => {
+        console.warn('[sw] State not saved:', tx.error);
+        resolve();
+      };
+    });
+  });
+
+  return writeQueue;
+}
+
+// ========== CHALLENGES ==========
+
+// Nonces handed out by the SW: random, bound to one session, single use
+const CHALLENGE_TTL = {
+  passkey: 2 * 60 * 1000,
+  pow: 5 * 60 * 1000,
+  timing: 15 * 1000,
+  behavioral: 30 * 1000,
+  sequence: 3 * 60 * 1000 // Read out, found and pressed - give it time
+};
+
+// Outstanding challenges kept per kind; older ones are dropped
+const MAX_OUTSTANDING = 4;
+
+function issueChallenge(session, kind, extra = {}) {
+  const now = Date.now();
+  const value = base64urlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  const challenge = { ...extra, kind, value, expires: now + CHALLENGE_TTL[kind] };
+
+  // Drop expired ones while we're here
+  session.challenges = session.challenges.filter(c => c.expires > now);
+  const sameKind = session.challenges.filter(c => c.kind === kind);
+  if (sameKind.length >= MAX_OUTSTANDING) {
+    session.challenges.splice(session.challenges.indexOf(sameKind[0]), 1);
+  }
+
+  session.challenges.push(challenge);
+  saveState(session);
+
+  return challenge;
+}
+
+/**
+ * Redeem a challenge. It is removed whether or not it has expired,
+ * so each one can be answered at most once.
+ * Returns the issued challenge, or null if unknown/expired.
+ */
+function consumeChallenge(session, kind, value) {
+  const index = session.challenges.findIndex(c => c.kind === kind && c.value === value);
+  if (index === -1) return null;
+
+  const [challenge] = session.challenges.splice(index, 1);
+  saveState(session);
+  return challenge.expires > Date.now() ? challenge : null;
+}
+
+function hasOutstanding(session, kind) {
+  const now = Date.now();
+  return session.challenges.some(c => c.kind === kind && c.expires > now);
+}
+
+// ========== CAPABILITIES ==========
+
+// Signed tokens listing what a session unlocked, for the backend.
+// Attached to every request the SW lets through to the network.
+const CAPABILITY_TTL = 5 * 60;            // seconds
+const CAPABILITY_REFRESH = 60 * 1000;     // re-mint when this close to expiry
+const KEY_PROOF_REFRESH = 60 * 60 * 1000; // re-prove the key - servers forget on restart
+
+// One key per browser profile; the private half never leaves WebCrypto
+let signingKey = null;
+let signingKeyPending = null;
+let keyProof = null;
+let keyProofAt = 0;
+const capabilities = new Map(); // session id -> { token, expires, basis }
+
+function getSigningKey() {
+  if (signingKey) return Promise.resolve(signingKey);
+
+  signingKeyPending ??= (async () => {
+    const key = { id: 'signing', ...(await generateSigningKey()) };
+    // Another worker instance may have stored one first - use theirs
+    signingKey = (await storeSigningKey(key)) || key;
+    return signingKey;
+  })().finally(() => { signingKeyPending = null; });
+
+  return signingKeyPending;
+}
+
+/**
+ * Servers only trust keys that solved one of their challenges, and only
+ * up to the stage that work stands for (see server-gate.js) - the pow
+ * stage's, so what the ladder here unlocks gets through. Solved once per
+ * worker start and hourly after; a server without PROOF_PATH just says
+ * no, and tokens go out regardless.
+ */
+function proveKey(key) {
+  if (!keyProof || Date.now() - keyProofAt > KEY_PROOF_REFRESH) {
+    keyProofAt = Date.now();
+    keyProof = proveSigningKey(key, new URL(PROOF_PATH, self.registration.scope).href, {
+      audience: self.location.origin,
+      level: 'pow'
+    }).catch(() => null);
+  }
+  return keyProof;
+}
+
+/**
+ * add(), not put(): never replace a key backends may have pinned.
+ * Resolves with the winning stored key, or null without a database.
+ */
+function storeSigningKey(key) {
+  if (!db) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const tx = db.transaction('keys', 'readwrite');
+    const store = tx.objectStore('keys');
+    const added = store.add(key);
+    added.onerror = (event) => {
+      event.preventDefault(); // Key exists - keep the transaction alive
+      const read = store.get('signing');
+      read.onsuccess = () => resolve(read.result || null);
+    };
+    added.onsuccess = () => resolve(key);
+    tx.onabort = () => resolve(null);
+  });
+}
+
+/**
+ * Current token for a session, minted when unlocks change or it nears expiry.
+ * Null before init - there is nothing to vouch for.
+ */
+async function capabilityFor(session) {
+  if (!session?.initialized) return null;
+
+  const basis = `${session.stage}|${session.organic}|${session.unlocked.join(',')}`;
+  const cached = capabilities.get(session.id);
+  if (cached && cached.basis === basis && cached.expires - Date.now() > CAPABILITY_REFRESH) {
+    return cached;
+  }
+
+  const key = await getSigningKey();
+  await proveKey(key);
+
+  const { token, expires } = await mintCapability(key, {
+    iss: 'squatch-sw',
+    mode: 'service-worker',
+    aud: self.location.origin,
+    sub: await sessionSubject(session),
+    unlocks: [...session.unlocked],
+    organic: Math.round(session.organic * 1000) / 1000,
+    stage: session.stage,
+    stageName: policy.stages[session.stage]?.id || 'none'
+  }, CAPABILITY_TTL);
+
+  const capability = { token, expires, basis };
+  capabilities.set(session.id, capability);
+  return capability;
+}
+
+/**
+ * Stable per-session id for tokens. Not the session token itself - that
+ * one lets a page join the session.
+ */
+async function sessionSubject(session) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`squatch-session:${session.id}`));
+  return base64urlEncode(new Uint8Array(digest).slice(0, 16));
+}
+
+/**
+ * Copy of `request` carrying the token. Navigations and no-cors requests
+ * drop custom headers, so those are rebuilt as same-origin requests -
+ * safe, since we only gate our own origin.
+ */
+async function withCapability(request, session) {
+  let capability = null;
+  try {
+    capability = await capabilityFor(session);
+  } catch (e) {
+    console.warn('[sw] Capability not minted:', e);
+  }
+  if (!capability) return request;
+
+  const headers = new Headers(request.headers);
+  headers.set(CAPABILITY_HEADER, capability.token);
+
+  if (request.mode === 'cors' || request.mode === 'same-origin') {
+    return new Request(request, { headers });
+  }
+
+  return new Request(request.url, {
+    method: request.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(request.method) ? undefined : await request.blob(),
+    mode: 'same-origin',
+    credentials: request.credentials,
+    cache: request.cache,
+    redirect: request.redirect,
+    referrer: request.referrer,
+    referrerPolicy: request.referrerPolicy,
+    integrity: request.integrity
+  });
+}
+
+// ========== POLICY ==========
+
+// Stages and resource gates come from gate-policy.json (format in
+// gate-policy.js). Until one loads - or if none ever validates - only the
+// gate itself is served and nobody advances.
+const POLICY_URL = new URL('./gate-policy.json', self.location).href;
+const POLICY_REFRESH = 5 * 60 * 1000;
+
+// The gate itself - public under any policy, precached on install. The
+// policy too: we fetch it without a token, and so does page-gate.js.
+const CORE_FILES = [
+  'gate.js', 'vector-gate.js', 'vector-gate.wasm.js', 'vector-gate.wasm',
+  'vector-sw.js', 'gate-policy.js', 'capability.js', 'protocol.js', 'webauthn.js', 'pow.js', 'pow-worker.js',
+  'organic-model.js', 'organic-model.json', 'recognition.js', 'page-gate.js', 'gate-policy.json'
+];
+
+const FALLBACK_POLICY = compilePolicy({
+  version: POLICY_VERSION,
+  defaultDeny: true,
+  stages: [],
+  rules: [{ paths: CORE_FILES, require: null }]
+}).policy;
+
+// Replaced whole, never mutated - a request sees one policy start to finish
+let policy = FALLBACK_POLICY;
+let policyChecked = 0;
+
+async function loadPolicy() {
+  policyChecked = Date.now();
+  return loadConfig(POLICY_URL, applyPolicy);
+}
+
+function applyPolicy(json) {
+  const result = compilePolicy(json);
+  if (!result.ok) {
+    console.warn('[sw] Policy rejected:', result.errors);
+    return false;
+  }
+
+  // Never roll back to an older revision (stale cache, stale CDN)
+  if (policy !== FALLBACK_POLICY && result.policy.revision < policy.revision) return false;
+
+  const previous = policy;
+  policy = result.policy;
+  if (previous !== FALLBACK_POLICY && previous.revision !== policy.revision) {
+    stateReady.then(() => carryStages(previous));
+  }
+  return true;
+}
+
+/**
+ * A new policy keeps the stages sessions already hold. Where a stage (by
+ * id) now needs more than a session's score, a `carried` attestation
+ * makes up the difference until the first of what earned it lapses, or
+ * the policy's "carried" lifetime ends (see carryStage()).
+ * Lowered thresholds and new resources take effect as usual.
+ */
+function carryStages(previous, now = Date.now()) {
+  // Visitors remember a stage by index - follow it to its new place
+  for (const visitor of visitors.values()) {
+    const id = previous.stages[visitor.stage]?.id;
+    const stage = policy.stages.findIndex(s => s.id === id);
+    if (stage === visitor.stage) continue;
+    visitor.stage = stage;
+    saveVisitor(visitor.id);
+  }
+
+  for (const session of sessions.values()) {
+    const held = session.organic;
+    session.attestations = session.attestations.filter(a => a.type !== 'carried');
+    session.organic = scoreAttestations(session.attestations);
+
+    const carry = carryStage(previous, policy, {
+      held,
+      remaining: session.organic,
+      expiries: session.attestations.map(expiresAt)
+    }, now);
+    if (carry) {
+      session.attestations.push({
+        type: 'carried',
+        timestamp: now,
+        expires: carry.expires,
+        boost: carry.boost,
+        explanation: fixed('carried', carry.boost, carry.stage)
+      });
+      session.organic = scoreAttestations(session.attestations);
+    }
+
+    const { granted, revoked } = updateStage(session);
+    scheduleExpiry(session);
+    if (granted.length) notifyUnlocks(session, granted);
+    if (revoked.length) revokeUnlocks(session, revoked);
+  }
+}
+
+// A restarted worker answers from the cached policy and refreshes behind it
+const policyReady = restoreConfig(POLICY_URL, applyPolicy).then(restored => restored ? void loadPolicy() : loadPolicy());
+
+/**
+ * Fetch, validate and swap in a JSON file. Falls back to the last good
+ * copy in the cache when the network or the new file lets us down.
+ */
+async function loadConfig(url, apply) {
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (response.ok && apply(await response.clone().json())) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(url, response);
+      return true;
+    }
+  } catch (e) {
+    console.warn('[sw] Not fetched:', url, e);
+  }
+
+  return restoreConfig(url, apply);
+}
+
+async function restoreConfig(url, apply) {
+  try {
+    const cached = await caches.match(url, { cacheName: CACHE_NAME });
+    return cached ? apply(await cached.json()) : false;
+  } catch {
+    return false; // Corrupt cache entry - keep what we have
+  }
+}
+
+// ========== MODEL ==========
+
+// Scores fingerprints and behavioral traces from organic-model.json
+// (format in organic-model.js). The page scores itself with the same
+// model, but that is only its word - the SW scores again. Without a
+// model, or with a placeholder (activeModels()), the hand-tuned rules
+// stand in.
+const MODEL_URL = new URL('./organic-model.json', self.location).href;
+
+let model = null;
+
+function applyModel(json) {
+  const result = compileModel(json);
+  if (!result.ok) {
+    console.warn('[sw] Model rejected:', result.errors);
+    return false;
+  }
+
+  if (model && result.model.revision < model.revision) return false;
+
+  const previous = model;
+  model = result.model;
+  if (model.placeholder && previous?.revision !== model.revision) {
+    console.warn('[sw] Organic model is a placeholder, never trained - scoring with the rules');
+  }
+  return true;
+}
+
+const modelReady = restoreConfig(MODEL_URL, applyModel)
+  .then(restored => restored ? void loadConfig(MODEL_URL, applyModel) : loadConfig(MODEL_URL, applyModel));
+
+let ready = Promise.all([stateReady, policyReady, modelReady]);
+
+// ========== LIFECYCLE ==========
+
+// An update installs and waits. It takes over when an open page on its
+// protocol calls it in (skip-waiting) - or once every tab has closed -
+// then reads the state the old worker left, migrating it as it loads,
+// and tells each page it moved (version-changed). Rolling back is
+// deploying the older worker again: it reads what it recognises.
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+  stateReady = reloadState();
+  ready = Promise.all([stateReady, policyReady, modelReady]);
+
+  event.waitUntil((async () => {
+    await ready;
+    await Promise.all([
+      self.clients.claim(),
+      // Clean old caches
+      caches.keys().then(keys =>
+        Promise.all(keys.filter(k => k !== CACHE_NAME && k !== MODULE_CACHE).map(k => caches.delete(k)))
+      )
+    ]);
+    await announceVersion();
+  })());
+});
+
+/**
+ * Tell each page with a session which worker it now talks to, and pick
+ * its escalation up where the old worker left it
+ */
+async function announceVersion() {
+  for (const client of await self.clients.matchAll({ type: 'window' })) {
+    const session = sessionForClient(client.id);
+    if (!session) continue; // Nothing carried over - nothing to tell
+
+    send(client, 'version-changed', {
+      version: VERSION,
+      previous: writers.get(session.id) ?? null,
+      schema: STATE_SCHEMA,
+      state: getPublicState(session)
+    });
+    if (session.initialized) escalate(client, session);
+  }
+}
+
+// ========== MESSAGE HANDLING ==========
+
+// Everything but these needs a session, i.e. an `init` first
+const SESSIONLESS = ['init', 'get-state', 'get-explanation', 'get-capability', 'policy-reload', 'forget-me'];
+
+// Kept alive until the message is handled and what it changed is written
+// (flushWrites()) - the browser may otherwise stop the worker part way
+self.addEventListener('message', (event) => event.waitUntil(handleMessage(event).finally(() => writeQueue)));
+
+async function handleMessage(event) {
+  await ready;
+
+  const client = event.source;
+  if (!client?.id) return; // Not from a page - nowhere to answer
+
+  // Shape first (protocol.js), then who is asking
+  const replyTo = typeof event.data?.type === 'string' ? event.data.type.slice(0, 32) : null;
+  const checked = validateMessage(event.data);
+  if (!checked.ok) return client.postMessage(errorMessage(checked.code, replyTo, checked.detail));
+
+  // To a waiting worker, from a page it doesn't control yet - validation
+  // already refused pages on another protocol
+  if (checked.message.type === 'skip-waiting') return self.skipWaiting();
+
+  if (!(await isControlled(client))) return client.postMessage(errorMessage('uncontrolled', replyTo));
+
+  const { type, v, ...payload } = checked.message;
+  pruneSessions();
+
+  // `init` opens (or rejoins) a session; everything else needs one
+  const session = type === 'init'
+    ? bindSession(client.id, payload.session)
+    : sessionForClient(client.id) || joinSession(client.id, payload.session);
+
+  if (!session && !SESSIONLESS.includes(type)) return client.postMessage(errorMessage('no-session', type));
+  if (session) expireAttestations(session);
+
+  switch (type) {
+    case 'init':
+      if (Date.now() - policyChecked > POLICY_REFRESH) {
+        loadPolicy();
+        loadConfig(MODEL_URL, applyModel);
+      }
+      await handleInit(client, session, payload);
+      break;
+
+    case 'challenge-response':
+      await handleChallengeResponse(client, session, payload);
+      break;
+
+    case 'sequence-step':
+      handleSequenceStep(client, session, payload);
+      break;
+
+    case 'attest':
+      await handleAttest(client, session, payload);
+      break;
+
+    case 'css-gate-complete':
+      await handleCSSGateComplete(client, session, payload);
+      break;
+
+    case 'passkey-challenge': {
+      const { value, expires } = issueChallenge(session, 'passkey');
+      send(client, 'passkey-challenge', { challenge: value, rpId: self.location.hostname, expires });
+      break;
+    }
+
+    case 'passkey-register':
+      await handlePasskeyRegister(client, session, payload);
+      break;
+
+    case 'get-state':
+      send(client, 'state', getPublicState(session || createSession(null)));
+      break;
+
+    case 'get-explanation':
+      send(client, 'explanation', explainScore(session || createSession(null)));
+      break;
+
+    case 'forget-me':
+      handleForgetMe(client, session);
+      break;
+
+    case 'assistive':
+      // Once seen, kept for the session: the ladder skips what they can't do
+      session.assistive = true;
+      saveState(session);
+      break;
+
+    case 'get-capability': {
+      // For the page's own calls to a backend on another origin
+      const capability = session ? await capabilityFor(session).catch(() => null) : null;
+      send(client, 'capability',
+        capability ? { token: capability.token, expires: capability.expires, header: CAPABILITY_HEADER } : null);
+      break;
+    }
+
+    case 'policy-reload':
+      // Only ever re-reads gate-policy.json from our origin
+      await loadPolicy();
+      send(client, 'policy', { revision: policy.revision });
+      break;
+  }
+
+  // Any message is a turn for the escalation engine - timers don't survive
+  // a worker restart, lapsed challenges are noticed here
+  if (session?.initialized && type !== 'init') await escalate(client, session);
+}
+
+/**
+ * Post to a page, stamped with the protocol version
+ */
+function send(client, type, payload) {
+  client.postMessage({ v: PROTOCOL_VERSION, type, payload });
+}
+
+/**
+ * Only pages this worker controls may talk to it - not a page that
+ * registered and hasn't been claimed, nor a stray frame
+ */
+async function isControlled(client) {
+  const controlled = await self.clients.matchAll({ type: 'window' });
+  return controlled.some(c => c.id === client.id);
+}
+
+async function handleInit(client, session, payload) {
+  const { vector, organic, signals, cssSignals, findings, privacy, assistive, timestamp } = payload;
+
+  // Store initial state
+  session.vector = new Float32Array(vector);
+  session.signals = signals || {};
+  session.cssSignals = cssSignals || {};
+  session.privacy = privacy || [];
+  session.assistive ||= !!assistive;
+  session.initialized = true;
+
+  // The model weighs the CSS media signals in; the old rules (the same
+  // ones the page ran) add them on. More detected features = more likely
+  // human with real browser. Each failed consistency check costs on top.
+  const scorer = activeModels(model)?.fingerprint;
+  const { score: boost, signals: scored } = withInconsistencies(scorer
+    ? explain(scorer, { vector: session.vector, cssSignals: session.cssSignals })
+    : withMediaBoost(fingerprintRules(session.vector), session.cssSignals.mediaCount || 0),
+  findings || []);
+
+  // A fresh fingerprint replaces the last one (page reload); the other
+  // attestations still count
+  session.attestations = session.attestations.filter(a => a.type !== 'fingerprint');
+
+  // Record attestation and determine initial stage
+  recordAttestation(client, session, {
+    type: 'fingerprint',
+    organic,
+    timestamp: Date.now(),
+    clientTimestamp: timestamp,
+    boost,
+    explanation: { by: scorer ? 'model' : 'rules', signals: scored },
+    vector_hash: await hashVector(vector)
+  });
+
+  // Seen this browser before? Then pick up where it left off
+  recognizeVisitor(client, session);
+
+  // Tell client what to load
+  if (session.organic >= 0.3) sendStage(client, session);
+
+  // Short of the next stage: start challenging once the page has settled
+  await escalate(client, session, { delay: FIRST_CHALLENGE_DELAY });
+}
+
+/**
+ * Answer to a challenge from escalate(), matched by its ID. A null
+ * result, a wrong answer or a late one counts as a failed attempt; the
+ * next challenge goes out after the switch in the message handler.
+ */
+async function handleChallengeResponse(client, session, payload) {
+  const { id, type, result } = payload.payload;
+
+  // Must be outstanding for this session - never issued, or answered already
+  if (!session.challenges.some(c => c.kind === type && c.value === id)) {
+    client.postMessage(errorMessage('unknown-challenge', 'challenge-response', null, id));
+    return;
+  }
+
+  const issued = consumeChallenge(session, type, id);
+  if (!issued) client.postMessage(errorMessage('expired', 'challenge-response', null, id));
+
+  let attestation = null;
+
+  if (issued && result) {
+    switch (type) {
+      case 'behavioral':
+        attestation = await attestBehavioral(result);
+        break;
+
+      case 'pow':
+        attestation = await attestPoW(issued, result);
+        break;
+
+      case 'timing':
+        attestation = await attestTiming(result);
+        break;
+
+      case 'sequence':
+        attestation = attestSequence(issued);
+        break;
+    }
+  }
+
+  if (attestation?.boost >= MIN_EARNED) {
+    const { granted } = recordAttestation(client, session, attestation);
+    // Started below the first stage (a hardened browser, say): app.js now
+    if (granted.some(unlock => policy.stages[0].unlock.includes(unlock))) sendStage(client, session);
+  } else {
+    failChallenge(session, type);
+  }
+}
+
+/**
+ * One press in an outstanding sequence task, timed as it reaches us - the
+ * page's clock has no say in the pace. A wrong button starts the run
+ * over, as does `item` null. Answers with the word to find next, so the
+ * page never holds more of the answer than the step it is on.
+ */
+function handleSequenceStep(client, session, payload) {
+  const { id, item, key } = payload.payload;
+
+  const issued = session.challenges.find(c => c.kind === 'sequence' && c.value === id && Array.isArray(c.steps));
+  if (!issued) return client.postMessage(errorMessage('unknown-challenge', 'sequence-step', null, id));
+  if (issued.expires <= Date.now()) return client.postMessage(errorMessage('expired', 'sequence-step', null, id));
+
+  const right = item !== null && issued.items[item] === issued.prompt[issued.steps.length];
+  if (right) issued.steps.push({ at: Date.now(), key });
+  else issued.steps = [];
+  saveState(session);
+
+  send(client, 'sequence-prompt', {
+    id,
+    find: issued.prompt[issued.steps.length] ?? null,
+    step: issued.steps.length,
+    of: issued.prompt.length,
+    missed: item !== null && !right
+  });
+}
+
+function sendStage(client, session) {
+  send(client, 'load-stage', {
+    module: './app.js',
+    state: getPublicState(session)
+  });
+}
+
+async function handleAttest(client, session, payload) {
+  const { type, proof } = payload.payload;
+
+  switch (type) {
+    case 'email':
+      if (await verifyEmailProof(proof)) {
+        recordAttestation(client, session, {
+          type: 'email',
+          timestamp: Date.now(),
+          boost: 0.1,
+          explanation: fixed('verified', 0.1)
+        });
+      }
+      break;
+
+    case 'passkey':
+      if (await verifyPasskeyProof(session, proof)) {
+        recordAttestation(client, session, {
+          type: 'passkey',
+          timestamp: Date.now(),
+          boost: 0.2,
+          explanation: fixed('assertion', 0.2)
+        });
+      }
+      break;
+  }
+
+  send(client, 'state', getPublicState(session));
+}
+
+/**
+ * Store a passkey created in identity.html so later assertions can be checked
+ */
+async function handlePasskeyRegister(client, session, payload) {
+  const { credentialId, clientDataJSON, attestationObject } = payload.payload;
+
+  let result = { ok: false, reason: 'malformed' };
+  try {
+    result = await verifyRegistration({
+      clientDataJSON: base64urlDecode(clientDataJSON),
+      attestationObject: base64urlDecode(attestationObject)
+    }, {
+      origin: self.location.origin,
+      rpId: self.location.hostname,
+      challenge: (value) => consumeChallenge(session, 'passkey', value)
+    });
+  } catch {
+    // Bad base64 - result stays malformed
+  }
+
+  if (result.ok && result.credential.id !== credentialId) {
+    result = { ok: false, reason: 'credential-id' };
+  }
+
+  if (result.ok) {
+    const credential = { ...result.credential, created: Date.now() };
+    credentials.set(credential.id, credential);
+    saveCredential(credential);
+  }
+
+  send(client, 'passkey-registered', { ok: result.ok, reason: result.reason, credentialId: result.credential?.id });
+}
+
+/**
+ * Handle CSS gate completion events from Layer 0. The boost depends on
+ * how plausible the evidence is, not on the claim.
+ */
+async function handleCSSGateComplete(client, session, payload) {
+  const { gate, evidence, timestamp } = payload;
+
+  // Avoid duplicate processing
+  if (session.cssGatesCompleted.includes(gate)) return;
+
+  const attestation = attestCSSGate(gate, evidence.events);
+  if (!attestation) {
+    // Say no, not why
+    client.postMessage(errorMessage('implausible', 'css-gate-complete'));
+    return;
+  }
+
+  session.cssGatesCompleted.push(gate);
+
+  // Record attestation
+  const { granted } = recordAttestation(client, session, {
+    ...attestation,
+    clientTimestamp: timestamp
+  }, { notify: false });
+
+  // Notify client - always, so the chain shows the gate
+  send(client, 'unlock', { ...unlockPayload(session, granted), cssGate: gate });
+}
+
+// ========== FETCH GATING ==========
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+
+  // Only gate same-origin requests
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  // A freshly restarted worker must restore state before deciding
+  event.respondWith(ready.then(() =>
+    gateRequest(event, url, sessionForClient(event.clientId))
+  ));
+});
+
+async function gateRequest(event, url, session) {
+  const { request } = event;
+  const path = scopePath(url);
+  if (path === null) return new Response(null, { status: policy.deny });
+
+  if (session) expireAttestations(session);
+
+  const decision = evaluate(policy, path, request.method, session);
+  if (!decision.allow) {
+    // 204 or 404 - reveal nothing about existence
+    return new Response(null, { status: decision.status });
+  }
+
+  // The gate's own files from the precache, the rest of what is public
+  // straight from the network
+  if (!decision.rule?.require) {
+    return request.method === 'GET' && PRECACHED.has(url.href)
+      ? staleWhileRevalidate(event, session, CACHE_NAME, () => true)
+      : fetch(await withCapability(request, session));
+  }
+
+  // Allowed - kept for offline use while this session still may have it
+  return request.method === 'GET'
+    ? staleWhileRevalidate(event, session, MODULE_CACHE, () => evaluate(policy, path, 'GET', session).allow)
+    : fetch(await withCapability(request, session));
+}
+
+/**
+ * Path below the SW scope, decoded so `%61pp.js` can't dodge `app.js`.
+ * Null if it won't decode or climbs with an encoded `..` - always denied,
+ * as server-gate.js does.
+ */
+function scopePath(url) {
+  const scope = new URL(self.registration.scope).pathname;
+  const path = url.pathname.startsWith(scope) ? url.pathname.slice(scope.length) : url.pathname.replace(/^\/+/, '');
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch {
+    return null;
+  }
+  return /(^|\/)\.\.?(\/|$)|[\\\0]/.test(decoded) ? null : decoded;
+}
+
+// ========== OFFLINE CACHE ==========
+
+// The gate is precached on install; a gated file is cached once the
+// session may have it - fetched ahead on the unlock where the policy names
+// it outright, else on first use - and evicted when that unlock is
+// revoked from every session. Both are served stale-while-revalidate, so
+// a stage already earned keeps working offline.
+const PRECACHED = new Set(['', 'index.html', ...CORE_FILES].map(path => new URL(path, self.registration.scope).href));
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  const results = await Promise.allSettled([...PRECACHED].map(url => cache.add(url)));
+  const missed = results.filter(r => r.status === 'rejected');
+  if (missed.length) console.warn('[sw] Not precached:', missed.map(r => r.reason));
+}
+
+/**
+ * Answer from the cache when it has the request and refresh the copy
+ * behind the answer; otherwise wait for the network. A fresh copy is only
+ * stored while `keep()` says so - the unlock may be gone by the time it
+ * arrives.
+ */
+async function staleWhileRevalidate(event, session, cacheName, keep) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(await withCapability(request, session)).then(async response => {
+    if (response.status === 200 && keep()) await cache.put(request, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+
+  // Offline or refused - the cached copy stands
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+/**
+ * Follow a stage change in the module cache: fetch what the grant opens,
+ * drop what the revocation closes for everyone
+ */
+async function updateModuleCache(session, { granted, revoked }) {
+  try {
+    const cache = await caches.open(MODULE_CACHE);
+
+    const held = new Set([...sessions.values()].flatMap(s => s.unlocked));
+    const closed = revoked.filter(unlock => !held.has(unlock));
+    if (closed.length) {
+      for (const request of await cache.keys()) {
+        const path = scopePath(new URL(request.url));
+        const rule = path === null ? null : matchRule(policy, path, 'GET');
+        // Gone from the policy counts as closed
+        if (!rule?.require || closed.includes(rule.require)) await cache.delete(request);
+      }
+    }
+
+    // Globs can't be fetched ahead - those wait for their first request
+    const paths = policy.rules
+      .filter(rule => granted.includes(rule.require))
+      .flatMap(rule => rule.paths)
+      .filter(path => !/[*?]/.test(path));
+
+    await Promise.allSettled(paths.map(async path => {
+      const request = new Request(new URL(path, self.registration.scope));
+      const response = await fetch(await withCapability(request, session));
+      if (response.status === 200 && evaluate(policy, path, 'GET', session).allow) {
+        await cache.put(request, response);
+      }
+    }));
+  } catch (e) {
+    console.warn('[sw] Module cache not updated:', e);
+  }
+}
+
+// ========== ATTESTATION HELPERS ==========
+
+/**
+ * The old fingerprint rules' add-on: 0.02 per detected CSS media feature,
+ * up to 0.12 for 6, capped at 1
+ */
+function withMediaBoost({ score, signals }, mediaCount) {
+  const total = score + mediaCount * 0.02;
+  const boost = Math.min(1, total);
+  const media = [{ source: 'mediaCount', value: mediaCount, delta: mediaCount * 0.02 }];
+  if (boost !== total) media.push({ source: 'clamp', value: null, delta: boost - total });
+  return { score: boost, signals: [...signals, ...media] };
+}
+
+// What each failed consistency check (protocol.js CONSISTENCY_CHECKS)
+// costs the fingerprint. Faked functions and getters are deliberate;
+// mismatches can be a privacy setting.
+const CONSISTENCY_PENALTIES = {
+  'native-override': 0.15,
+  'getter-override': 0.15,
+  'ua-platform': 0.1,
+  'ua-renderer': 0.1,
+  'ua-cores': 0.05,
+  'ua-touch': 0.05,
+  'screen-avail': 0.05
+};
+
+/**
+ * Fingerprint score less a named penalty per failed check, floored at 0.
+ * Privacy-hardened browsers pay them too - the page says it is one, so
+ * that buys nothing here; HARDENED_POW is their way up.
+ */
+function withInconsistencies({ score, signals }, findings) {
+  const penalties = [...new Set(findings)].map(reason =>
+    ({ source: `inconsistent:${reason}`, value: true, delta: -CONSISTENCY_PENALTIES[reason] }));
+  const total = penalties.reduce((sum, p) => sum + p.delta, score);
+  const boost = Math.max(0, total);
+  if (boost !== total) penalties.push({ source: 'clamp', value: null, delta: boost - total });
+  return { score: boost, signals: [...signals, ...penalties] };
+}
+
+async function attestBehavioral(result) {
+  const { mouseMovements, scrollEvents, keyPresses, touches, keystrokes } = result;
+  const { score, by, modality, signals } = behavioralScore(activeModels(model), result);
+
+  return {
+    type: 'behavioral',
+    timestamp: Date.now(),
+    boost: score,
+    explanation: { by, signals },
+    details: {
+      modality,
+      mouseCount: mouseMovements?.length || 0,
+      scrollCount: scrollEvents?.length || 0,
+      keyCount: keyPresses?.length || 0,
+      touchCount: touches?.length || 0,
+      keystrokeCount: keystrokes?.length || 0
+    }
+  };
+}
+
+/**
+ * Lower trust pays for more work. Difficulty is leading zero bits of
+ * SHA-256(challenge + nonce); each bit doubles the expected hashes.
+ * 20 bits is ~1M hashes, a few seconds on a phone with the worker solver.
+ */
+function powDifficulty(organic) {
+  if (organic < 0.5) return 22;
+  if (organic < 0.55) return 20;
+  return 18;
+}
+
+async function attestPoW(issued, result) {
+  if (result.challenge !== issued.value || !Number.isSafeInteger(result.nonce)) return null;
+
+  // Recompute - the client's hash is not trusted
+  const hash = await verifyWork(result.challenge, result.nonce, issued.difficulty);
+  if (!hash) return null;
+
+  // Hardened sessions' puzzles carry their own, larger boost
+  const boost = issued.boost ?? MAX_BOOST.pow;
+
+  return {
+    type: 'pow',
+    timestamp: Date.now(),
+    boost,
+    explanation: fixed(issued.boost ? 'work-for-fingerprint' : 'difficulty', boost, issued.difficulty),
+    difficulty: issued.difficulty,
+    nonce: result.nonce
+  };
+}
+
+async function attestTiming(result) {
+  if (!result || result.length < 5) return null;
+
+  // Check timing variance (natural timing has some variance)
+  const v = variance(result);
+  const mean = result.reduce((a, b) => a + b) / result.length;
+
+  // Too precise is suspicious
+  if (v < 0.1 || mean < 9 || mean > 15) return null;
+
+  return {
+    type: 'timing',
+    timestamp: Date.now(),
+    boost: 0.02,
+    explanation: fixed('variance', 0.02, v)
+  };
+}
+
+/**
+ * The accessible stand-in for the behavioral challenge: buttons pressed
+ * in the order asked, as handleSequenceStep() saw them arrive. Counts as
+ * a behavioral attestation, worth far less (maxBoost('sequence')); the
+ * full run is required, the pace of a person who had to find each button
+ * earns the rest.
+ */
+function attestSequence(issued) {
+  const steps = issued.steps || [];
+  // Under two presses there is no pace to judge
+  if (!Array.isArray(issued.prompt) || steps.length < 2 || steps.length !== issued.prompt.length) return null;
+
+  const gaps = steps.slice(1).map((step, i) => step.at - steps[i].at);
+  const fastest = Math.min(...gaps);
+  const full = Math.min(issued.boost, maxBoost('sequence'));
+  const signals = [
+    { source: 'order', value: true, delta: full * 0.5 },
+    // A label read out or scanned for takes more than a fraction of a second...
+    { source: 'pacing', value: fastest, delta: fastest >= 150 ? full * 0.3 : 0 },
+    // ...and some take longer than others (ms^2: ~50ms spread)
+    { source: 'rhythm', value: variance(gaps), delta: variance(gaps) > 2500 ? full * 0.2 : 0 }
+  ];
+
+  return {
+    type: 'behavioral',
+    timestamp: Date.now(),
+    boost: signals.reduce((sum, s) => sum + s.delta, 0),
+    explanation: { by: 'rules', signals: signals.map(s => ({ ...s, source: `sequence:${s.source}` })) },
+    details: {
+      modality: 'sequence',
+      steps: steps.length,
+      keyboard: steps.filter(step => step.key).length
+    }
+  };
+}
+
+// Each CSS gate completion boosts organic score, scaled by plausibility
+const CSS_GATE_BOOSTS = {
+  time: 0.01,      // Stayed for the 2s reveal
+  hover: 0.03,     // Completed hover sequence
+  click: 0.03,     // Held click for 1s
+  checkbox: 0.02,  // Checked all boxes
+  scroll: 0.02,    // Scrolled to 80%
+  focus: 0.02      // Tabbed through all nodes
 };
 
-// ========== STAGES ==========
+// Below this the evidence is refused outright
+const MIN_PLAUSIBILITY = 0.5;
 
-const STAGES = [
-  { id: 'fingerprint',  threshold: 0.3, unlock: ['basic-ui'] },
-  { id: 'behavioral',   threshold: 0.5, unlock: ['search', 'content'] },
-  { id: 'pow',          threshold: 0.6, unlock: ['write', 'storage'] },
-  { id: 'email',        threshold: 0.7, unlock: ['identity', 'sync'] },
-  { id: 'passkey',      threshold: 0.9, unlock: ['full-access', 'admin'] },
-  { id: 'attestation',  threshold: 1.0, unlock: ['everything'] }
-];
+/**
+ * Judge a CSS gate from the events gate.js recorded. `required` checks
+ * are what the gate can't be passed without; `plausible` ones are what
+ * a person doing it tends to leave behind - the share that hold is the
+ * plausibility. Returns an attestation or null.
+ */
+function attestCSSGate(gate, events) {
+  // Timestamps come from one clock and only go forward
+  if (!events.length || events.some((e, i) => i > 0 && e.t < events[i - 1].t)) return null;
 
-// ========== RESOURCES ==========
+  const { required, plausible } = CSS_EVIDENCE[gate](events);
+  if (!required.every(Boolean)) return null;
 
-// Map resources to required unlock levels
-const RESOURCE_GATES = {
-  // Always allowed (core gate system)
-  'gate.js': null,
-  'vector-gate.js': null,
-  'vector-gate.wasm.js': null,
-  'vector-sw.js': null,
+  const plausibility = plausible.filter(Boolean).length / plausible.length;
+  if (plausibility < MIN_PLAUSIBILITY) return null;
 
-  // Stage 0: fingerprint (0.3)
-  'app.js': 'basic-ui',
-  'styles.css': 'basic-ui',
+  const boost = CSS_GATE_BOOSTS[gate] * plausibility;
 
-  // Stage 1: behavioral (0.5)
-  'search.js': 'search',
-  'content.js': 'content',
+  return {
+    type: `css-${gate}`,
+    timestamp: Date.now(),
+    boost,
+    explanation: {
+      by: 'evidence',
+      signals: [
+        { source: 'gate', value: gate, delta: CSS_GATE_BOOSTS[gate] },
+        { source: 'plausibility', value: plausibility, delta: boost - CSS_GATE_BOOSTS[gate] }
+      ]
+    },
+    details: {
+      plausibility,
+      events: events.length,
+      duration: events[events.length - 1].t - events[0].t
+    }
+  };
+}
 
-  // Stage 2: pow (0.6)
-  'editor.js': 'write',
-  'storage.js': 'storage',
+const CSS_EVIDENCE = {
+  // The reveal animation has a 2s delay and runs 0.3-0.5s
+  time(events) {
+    const end = events.find(e => e.type === 'end');
+    return {
+      required: [!!end, end?.t >= 2000],
+      plausible: [end?.t >= 2300, end?.t < 10 * 60 * 1000]
+    };
+  },
+
+  // Nodes 1, 2, 3 in that order, reached by moving the pointer
+  hover(events) {
+    const steps = inOrder(events.filter(e => e.type === 'enter'), [0, 1, 2]);
+    const first = steps?.[0].t;
+    const last = steps?.[2].t;
+    const moves = events.filter(e => e.type === 'move' && e.t >= first && e.t <= last);
+    return {
+      required: [!!steps],
+      plausible: [
+        !!steps && steps[1].t - steps[0].t >= 50 && steps[2].t - steps[1].t >= 50,
+        moves.length >= 3,
+        variance(intervals(moves)) > 0,
+        last - first < 60 * 1000
+      ]
+    };
+  },
 
-  // Stage 3: email (0.7)
-  'identity.js': 'identity',
-  'sync.js': 'sync',
+  // Pressed, held for 1s (the CSS :active transition), released
+  click(events) {
+    const down = events.findLast(e => e.type === 'down');
+    const up = down && events.find(e => e.type === 'up' && e.t >= down.t);
+    const hold = up ? up.t - down.t : 0;
+    return {
+      required: [hold >= 1000],
+      plausible: [
+        hold <= 10 * 1000,
+        events.some(e => e.type === 'enter' && e.t <= down?.t),
+        events.filter(e => e.type === 'down').length <= 10
+      ]
+    };
+  },
 
-  // Stage 4: passkey (0.9)
-  'admin.js': 'admin',
-  'full.js': 'full-access'
+  // All three end up checked, each by pressing its label
+  checkbox(events) {
+    const state = [false, false, false];
+    for (const e of events) {
+      if ((e.type === 'check' || e.type === 'uncheck') && e.target < state.length) state[e.target] = e.type === 'check';
+    }
+    const checks = events.filter(e => e.type === 'check');
+    const pressed = checks.filter(check =>
+      events.some(e => e.type === 'down' && e.target === check.target && e.t <= check.t && check.t - e.t < 1000)
+    );
+    return {
+      required: [state.every(Boolean)],
+      plausible: [
+        pressed.length === checks.length,
+        intervals(checks).every(dt => dt >= 100),
+        checks.length <= 12
+      ]
+    };
+  },
+
+  // Past 80%, in steps over time rather than one jump
+  scroll(events) {
+    const samples = events.filter(e => e.type === 'scroll');
+    const positions = samples.map(e => e.target);
+    const reached = samples.find(e => e.target > 80);
+    const steps = positions.slice(1).map((p, i) => Math.abs(p - positions[i]));
+    return {
+      required: [!!reached],
+      plausible: [
+        samples.length >= 3,
+        !!reached && reached.t - samples[0].t >= 300,
+        steps.every(step => step < 60),
+        variance(steps) > 0
+      ]
+    };
+  },
+
+  // Nodes 1-4 in order, each reached with Tab
+  focus(events) {
+    const steps = inOrder(events.filter(e => e.type === 'focus'), [0, 1, 2, 3]);
+    const keyed = (steps || []).filter(step =>
+      events.some(e => e.type === 'key' && e.t <= step.t && step.t - e.t < 500)
+    );
+    return {
+      required: [!!steps],
+      plausible: [
+        keyed.length >= 3,
+        intervals(steps || []).every(dt => dt >= 50),
+        !!steps && steps[3].t - steps[0].t < 60 * 1000
+      ]
+    };
+  }
 };
 
-// ========== LIFECYCLE ==========
-
-self.addEventListener('install', (event) => {
-  self.skipWaiting();
-});
+/**
+ * First events hitting `targets` in sequence (others may come between),
+ * or null if the sequence never completes
+ */
+function inOrder(events, targets) {
+  const steps = [];
+  for (const e of events) {
+    if (e.target === targets[steps.length]) steps.push(e);
+    if (steps.length === targets.length) return steps;
+  }
+  return null;
+}
 
-self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    Promise.all([
-      self.clients.claim(),
-      // Clean old caches
-      caches.keys().then(keys =>
-        Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)))
-      )
-    ])
-  );
-});
+function intervals(events) {
+  return events.slice(1).map((e, i) => e.t - events[i].t);
+}
 
-// ========== MESSAGE HANDLING ==========
+async function verifyEmailProof(proof) {
+  // In production, verify with server
+  // For now, just check structure
+  return proof && proof.token && proof.email && proof.verified;
+}
 
-self.addEventListener('message', async (event) => {
-  const { type, ...payload } = event.data || {};
+/**
+ * Check a WebAuthn assertion against a passkey registered with this SW.
+ * The challenge must be one we issued to this session and not yet used.
+ */
+async function verifyPasskeyProof(session, proof) {
+  const credential = credentials.get(proof?.credentialId);
+  if (!credential) return false;
+
+  let result;
+  try {
+    result = await verifyAssertion({
+      clientDataJSON: base64urlDecode(proof.clientDataJSON),
+      authenticatorData: base64urlDecode(proof.authenticatorData),
+      signature: base64urlDecode(proof.signature)
+    }, credential, {
+      origin: self.location.origin,
+      rpId: self.location.hostname,
+      challenge: (value) => consumeChallenge(session, 'passkey', value)
+    });
+  } catch {
+    return false;
+  }
 
-  switch (type) {
-    case 'init':
-      await handleInit(event.source, payload);
-      break;
+  if (!result.ok) return false;
 
-    case 'challenge-response':
-      await handleChallengeResponse(event.source, payload);
-      break;
+  // Remember the counter so a cloned authenticator shows up as a replay
+  credential.signCount = result.signCount;
+  credential.lastUsed = Date.now();
+  saveCredential(credential);
+  return true;
+}
 
-    case 'attest':
-      await handleAttest(event.source, payload);
-      break;
+// ========== STATE MANAGEMENT ==========
 
-    case 'css-gate-complete':
-      await handleCSSGateComplete(event.source, payload);
-      break;
+/**
+ * Add an attestation and rescore. Tells the client about new unlocks
+ * unless the caller wants to word that itself.
+ */
+function recordAttestation(client, session, attestation, { notify = true } = {}) {
+  session.attestations.push(attestation);
+  session.organic = scoreAttestations(session.attestations);
 
-    case 'get-state':
-      event.source.postMessage({ type: 'state', payload: getPublicState() });
-      break;
+  const changes = updateStage(session);
+  if (notify && changes.granted.length > 0) {
+    send(client, 'unlock', unlockPayload(session, changes.granted));
   }
-});
 
-async function handleInit(client, payload) {
-  const { vector, organic, signals, cssSignals, timestamp } = payload;
+  scheduleExpiry(session);
+  return changes;
+}
 
-  // Store initial state
-  state.vector = new Float32Array(vector);
-  state.organic = organic;
-  state.signals = signals || {};
-  state.cssSignals = cssSignals || {};
-  state.initialized = true;
+function scoreAttestations(attestations) {
+  const total = [...countedAttestations(attestations)].reduce((sum, a) => sum + (a.boost || 0), 0);
+  return Math.max(0, Math.min(1, total));
+}
 
-  // Boost organic score based on CSS media signals
-  // More detected features = more likely human with real browser
-  if (cssSignals?.mediaCount) {
-    const cssBoost = cssSignals.mediaCount * 0.02; // Up to 0.12 for 6 features
-    state.organic = Math.min(1, state.organic + cssBoost);
+/**
+ * Repeats don't stack - the best attestation of each type counts
+ */
+function countedAttestations(attestations) {
+  const best = new Map();
+  for (const a of attestations) {
+    if ((a.boost || 0) > (best.get(a.type)?.boost || 0)) best.set(a.type, a);
   }
+  return new Set(best.values());
+}
 
-  // Record attestation
-  state.attestations.push({
-    type: 'fingerprint',
-    organic,
-    timestamp: timestamp || Date.now(),
-    vector_hash: await hashVector(vector)
-  });
+/**
+ * Stage and unlocks follow the score both ways: whatever the highest
+ * stage we still qualify for grants, nothing more.
+ * Returns { granted, revoked }.
+ */
+function updateStage(session) {
+  const before = session.unlocked;
 
-  // Determine initial stage
-  updateStage();
+  // Find highest stage we qualify for
+  const stage = stageFor(policy, session.organic);
 
-  // Tell client what to load
-  if (state.organic >= 0.3) {
-    client.postMessage({
-      type: 'load-stage',
-      payload: {
-        module: './app.js',
-        container: 'body',
-        state: getPublicState()
-      }
-    });
-  }
+  // Below the first threshold: working on stage 0, nothing unlocked
+  session.stage = Math.max(0, stage);
+  session.unlocked = stage >= 0 ? [...new Set(unlocksThrough(policy, stage))] : [];
 
-  // If organic is good but not great, request behavioral challenge
-  if (state.organic >= 0.3 && state.organic < 0.5) {
-    setTimeout(() => {
-      client.postMessage({
-        type: 'challenge',
-        payload: { type: 'behavioral', duration: 5000 }
-      });
-    }, 3000);
-  }
+  saveState(session);
+  rememberStage(session);
+
+  const changes = {
+    granted: session.unlocked.filter(u => !before.includes(u)),
+    revoked: before.filter(u => !session.unlocked.includes(u))
+  };
+  if (changes.granted.length || changes.revoked.length) updateModuleCache(session, changes);
+  return changes;
 }
 
-async function handleChallengeResponse(client, payload) {
-  const { type, ...result } = payload.payload || payload;
+/**
+ * What an 'unlock' tells the page: the new unlocks, where that leaves the
+ * session, and the feature modules it may now load
+ */
+function unlockPayload(session, granted) {
+  return {
+    features: granted,
+    organic: session.organic,
+    stage: session.stage,
+    unlocked: [...session.unlocked],
+    modules: modulesFor(policy, session.unlocked)
+  };
+}
 
-  let attestation = null;
+function getPublicState(session) {
+  return {
+    mode: 'service-worker',
+    version: VERSION,
+    organic: session.organic,
+    stage: session.stage,
+    stageName: policy.stages[session.stage]?.id || 'none',
+    unlocked: [...session.unlocked],
+    modules: modulesFor(policy, session.unlocked),
+    attestationCount: session.attestations.length,
+    // What the chain shows - the explanation has the rest
+    attestations: session.attestations.map(a => ({
+      type: a.type,
+      boost: a.boost || 0,
+      timestamp: a.timestamp,
+      expires: Number.isFinite(expiresAt(a)) ? expiresAt(a) : null
+    })),
+    cssGatesCompleted: [...session.cssGatesCompleted],
+    cssMediaCount: session.cssSignals?.mediaCount || 0,
+    returning: session.recognition,
+    privacy: [...session.privacy],
+    fingerprint: session.vector ? hashSync(Array.from(session.vector).slice(0, 8).join(',')) : null
+  };
+}
 
-  switch (type) {
-    case 'behavioral':
-      attestation = await attestBehavioral(result);
-      break;
+// ========== EXPLANATION ==========
 
-    case 'pow':
-      attestation = await attestPoW(result);
-      break;
+// Every attestation records the signals behind its boost (source, the
+// value seen, delta) so someone stuck can see why. Deltas add up to the
+// boost; only the best of each type counts towards the score.
 
-    case 'timing':
-      attestation = await attestTiming(result);
-      break;
-  }
+/**
+ * Score breakdown for get-explanation
+ */
+function explainScore(session) {
+  const counted = countedAttestations(session.attestations);
+  const total = [...counted].reduce((sum, a) => sum + (a.boost || 0), 0);
+  const next = policy.stages.find(s => s.threshold > session.organic);
 
-  if (attestation) {
-    state.attestations.push(attestation);
-    state.organic = Math.min(1, state.organic + attestation.boost);
-    updateStage();
+  return {
+    organic: session.organic,
+    stage: session.stage,
+    stageName: policy.stages[session.stage]?.id || 'none',
+    total,
+    clamped: session.organic - total,
+    next: next ? { stage: next.id, threshold: next.threshold, gap: next.threshold - session.organic } : null,
+    attestations: session.attestations.map(a => ({
+      type: a.type,
+      boost: a.boost || 0,
+      counted: counted.has(a),
+      timestamp: a.timestamp,
+      expires: Number.isFinite(expiresAt(a)) ? expiresAt(a) : null,
+      // Recorded before explanations were kept: the boost is all there is
+      by: a.explanation?.by || 'recorded',
+      signals: a.explanation?.signals || [{ source: a.type, value: null, delta: a.boost || 0 }]
+    }))
+  };
+}
 
-    // Notify client of unlocks
-    const newUnlocks = getNewUnlocks();
-    if (newUnlocks.length > 0) {
-      client.postMessage({
-        type: 'unlock',
-        payload: { features: newUnlocks, organic: state.organic, stage: state.stage }
-      });
-    }
-  }
+/**
+ * Explanation for a boost that doesn't vary
+ */
+function fixed(source, delta, value = null) {
+  return { by: 'fixed', signals: [{ source, value, delta }] };
 }
 
-async function handleAttest(client, payload) {
-  const { type, proof } = payload;
+// ========== RECOGNITION ==========
 
-  switch (type) {
-    case 'email':
-      if (await verifyEmailProof(proof)) {
-        state.attestations.push({
-          type: 'email',
-          timestamp: Date.now(),
-          boost: 0.1
-        });
-        state.organic = Math.min(1, state.organic + 0.1);
-        updateStage();
-      }
-      break;
+// Fingerprints of earlier visits and the highest stage each earned, so a
+// browser seen before resumes there instead of at the fingerprint score.
+// Matching is recognition.js; a resumed stage is a `returning`
+// attestation and decays like any other.
+const visitors = new Map(); // visitor id -> { id, vector, stage, reached, firstSeen, lastSeen, visits }
 
-    case 'passkey':
-      if (await verifyPasskeyProof(proof)) {
-        state.attestations.push({
-          type: 'passkey',
-          timestamp: Date.now(),
-          boost: 0.2
-        });
-        state.organic = Math.min(1, state.organic + 0.2);
-        updateStage();
-      }
-      break;
-  }
+// Not seen for this long: forgotten
+const VISITOR_TTL = 30 * 24 * 60 * 60 * 1000;
 
-  client.postMessage({
-    type: 'state',
-    payload: getPublicState()
-  });
-}
+// A stage last held longer ago than this isn't resumed
+const RESUME_WINDOW = 7 * 24 * 60 * 60 * 1000;
 
 /**
- * Handle CSS gate completion events from Layer 0
+ * Match the session's fresh vector against stored visitors, link it, and
+ * resume the matched visitor's stage. Unknown browsers are stored; a
+ * vector close to several stored ones is neither stored nor resumed.
  */
-async function handleCSSGateComplete(client, payload) {
-  const { gate, timestamp } = payload;
+function recognizeVisitor(client, session, now = Date.now()) {
+  if (!session.remember) return;
 
-  // Avoid duplicate processing
-  if (state.cssGatesCompleted.includes(gate)) return;
+  const vector = Array.from(session.vector);
+  const known = [...visitors.values()].filter(v => now - v.lastSeen <= VISITOR_TTL);
+  const match = matchVisitor(known, vector);
 
-  state.cssGatesCompleted.push(gate);
+  let visitor = match.matched ? match.visitor : null;
+  if (!visitor && match.similarity < MATCH_THRESHOLD) {
+    visitor = { id: crypto.randomUUID(), vector, stage: -1, reached: 0, firstSeen: now, lastSeen: now, visits: 0 };
+    visitors.set(visitor.id, visitor);
+  }
+  if (visitor) {
+    visitor.vector = vector; // Follow the drift
+    visitor.lastSeen = now;
+    visitor.visits++;
+    saveVisitor(visitor.id);
+  }
 
-  // Each CSS gate completion boosts organic score
-  const boosts = {
-    hover: 0.03,     // Completed hover sequence
-    click: 0.03,     // Held click for 1s
-    checkbox: 0.02,  // Checked all boxes
-    scroll: 0.02,    // Scrolled to 80%
-    focus: 0.02      // Tabbed through all nodes
+  session.visitor = visitor?.id || null;
+  session.recognition = {
+    matched: match.matched,
+    similarity: match.similarity,
+    margin: match.margin,
+    confidence: match.confidence,
+    visits: visitor?.visits || 0,
+    resumed: null
   };
 
-  const boost = boosts[gate] || 0.01;
-  state.organic = Math.min(1, state.organic + boost);
+  // A reload gets a fresh resume, not a second one
+  session.attestations = session.attestations.filter(a => a.type !== 'returning');
+  session.organic = scoreAttestations(session.attestations);
 
-  // Record attestation
-  state.attestations.push({
-    type: `css-${gate}`,
-    timestamp: timestamp || Date.now(),
-    boost
-  });
+  const stage = policy.stages[visitor?.stage];
+  if (!match.matched || !stage || now - visitor.reached > RESUME_WINDOW) {
+    updateStage(session);
+    return;
+  }
 
-  updateStage();
-
-  // Notify client
-  const newUnlocks = getNewUnlocks();
-  client.postMessage({
-    type: 'unlock',
-    payload: {
-      features: newUnlocks,
-      organic: state.organic,
-      stage: state.stage,
-      cssGate: gate
-    }
+  // Enough to stand at the stage's threshold with what this session holds
+  const boost = stage.threshold - session.organic;
+  session.recognition.resumed = stage.id;
+  if (boost <= 0) {
+    updateStage(session);
+    return;
+  }
+
+  recordAttestation(client, session, {
+    type: 'returning',
+    timestamp: now,
+    boost,
+    explanation: { by: 'recognition', signals: [{ source: 'resumed', value: stage.id, delta: boost }] },
+    details: { similarity: match.similarity, confidence: match.confidence }
   });
 }
 
-// ========== FETCH GATING ==========
+/**
+ * Keep the linked visitor's highest earned stage. What `returning` gave
+ * doesn't count - recognition alone can't keep a stage alive.
+ */
+function rememberStage(session, now = Date.now()) {
+  const visitor = visitors.get(session.visitor);
+  if (!visitor) return;
 
-self.addEventListener('fetch', (event) => {
-  const url = new URL(event.request.url);
+  const earned = scoreAttestations(session.attestations.filter(a => a.type !== 'returning'));
+  const stage = policy.stages.findLastIndex(s => earned >= s.threshold);
+  if (stage < 0 || stage < visitor.stage) return;
 
-  // Only gate same-origin requests
-  if (url.origin !== self.location.origin) {
-    return;
-  }
+  visitor.stage = stage;
+  visitor.reached = now;
+  saveVisitor(visitor.id);
+}
 
-  // Extract resource name
-  const resource = url.pathname.split('/').pop() || 'index.html';
+/**
+ * "Forget me": drop every stored visitor (they're all this browser), stop
+ * remembering the sessions linked to them, and take back what
+ * recognition gave those
+ */
+function handleForgetMe(client, session) {
+  const removed = new Set(visitors.keys());
+  for (const id of removed) saveVisitor(id);
+  visitors.clear();
+
+  const linked = [...sessions.values()].filter(s => s === session || removed.has(s.visitor));
+  for (const s of linked) {
+    s.visitor = null;
+    s.recognition = null;
+    s.remember = false;
+    s.attestations = s.attestations.filter(a => a.type !== 'returning');
+    s.organic = scoreAttestations(s.attestations);
+
+    const { revoked } = updateStage(s);
+    scheduleExpiry(s);
+    if (revoked.length) revokeUnlocks(s, revoked);
+  }
 
-  // Check if resource is gated
-  const requiredUnlock = RESOURCE_GATES[resource];
+  send(client, 'forgotten', { removed: removed.size });
+  send(client, 'state', getPublicState(session || createSession(null)));
+}
 
-  // Core resources always allowed
-  if (requiredUnlock === null || requiredUnlock === undefined) {
-    event.respondWith(fetch(event.request));
-    return;
-  }
+// ========== DECAY ==========
 
-  // Check if unlock earned
-  if (!state.unlocked.includes(requiredUnlock) && requiredUnlock !== 'basic-ui') {
-    // Return 204 No Content - reveal nothing about existence
-    event.respondWith(new Response(null, { status: 204 }));
-    return;
-  }
+// Attestations count for the lifetime the policy gives their type. When
+// they lapse the score is recomputed, unlocks above it are revoked and
+// the tab is asked to earn them back. Checked on every message and fetch;
+// the timer only makes it prompt while the worker happens to be awake.
+const expiryTimers = new Map(); // session id -> timeout
 
-  // Basic-ui requires initialization
-  if (requiredUnlock === 'basic-ui' && !state.initialized) {
-    event.respondWith(new Response(null, { status: 204 }));
-    return;
-  }
+function expireAttestations(session, now = Date.now()) {
+  const expired = session.attestations.filter(a => now >= expiresAt(a));
+  if (!expired.length) return;
 
-  // Allowed - fetch the resource
-  event.respondWith(
-    caches.match(event.request).then(cached => cached || fetch(event.request))
+  session.attestations = session.attestations.filter(a => !expired.includes(a));
+  session.cssGatesCompleted = session.cssGatesCompleted.filter(gate =>
+    session.attestations.some(a => a.type === `css-${gate}`)
   );
-});
+  session.organic = scoreAttestations(session.attestations);
 
-// ========== ATTESTATION HELPERS ==========
+  const { revoked } = updateStage(session);
+  scheduleExpiry(session);
 
-async function attestBehavioral(result) {
-  const { mouseMovements, scrollEvents, keyPresses } = result;
-
-  let score = 0;
-
-  // Check mouse movement naturalness
-  if (mouseMovements && mouseMovements.length > 5) {
-    const deltas = [];
-    for (let i = 1; i < mouseMovements.length; i++) {
-      const dx = mouseMovements[i].x - mouseMovements[i - 1].x;
-      const dy = mouseMovements[i].y - mouseMovements[i - 1].y;
-      const dt = mouseMovements[i].t - mouseMovements[i - 1].t;
-      deltas.push({ dx, dy, dt });
-    }
+  if (revoked.length) revokeUnlocks(session, revoked);
+}
 
-    // Natural mouse has varied speeds and directions
-    const speeds = deltas.map(d => Math.sqrt(d.dx * d.dx + d.dy * d.dy) / Math.max(1, d.dt));
-    const speedVariance = variance(speeds);
-    if (speedVariance > 0.1) score += 0.05;
-  }
+function expiresAt(attestation) {
+  // A carried stage sets its own
+  return attestation.expires ?? attestation.timestamp + attestationLifetime(policy, attestation.type);
+}
 
-  // Check scroll naturalness
-  if (scrollEvents && scrollEvents.length > 2) {
-    const scrollDeltas = [];
-    for (let i = 1; i < scrollEvents.length; i++) {
-      scrollDeltas.push(scrollEvents[i].y - scrollEvents[i - 1].y);
-    }
-    const scrollVariance = variance(scrollDeltas);
-    if (scrollVariance > 100) score += 0.03;
-  }
+function scheduleExpiry(session) {
+  clearTimeout(expiryTimers.get(session.id));
+  expiryTimers.delete(session.id);
 
-  // Some activity is good
-  if (mouseMovements?.length > 0 || scrollEvents?.length > 0 || keyPresses?.length > 0) {
-    score += 0.02;
-  }
+  const next = Math.min(...session.attestations.map(expiresAt));
+  if (!Number.isFinite(next)) return;
 
-  return {
-    type: 'behavioral',
-    timestamp: Date.now(),
-    boost: score,
-    details: {
-      mouseCount: mouseMovements?.length || 0,
-      scrollCount: scrollEvents?.length || 0,
-      keyCount: keyPresses?.length || 0
-    }
-  };
+  // setTimeout overflows past ~24.8 days
+  const delay = Math.min(Math.max(0, next - Date.now()), 2 ** 31 - 1);
+  expiryTimers.set(session.id, setTimeout(() => expireAttestations(session), delay));
 }
 
-async function attestPoW(result) {
-  if (!result || !result.hash || !result.nonce) return null;
+/**
+ * Tell every tab of the session, then challenge one of them to earn it back
+ */
+async function revokeUnlocks(session, revoked) {
+  const clients = await sessionClients(session);
 
-  // Verify the PoW
-  const difficulty = 4;
-  if (result.hash.startsWith('0'.repeat(difficulty))) {
-    return {
-      type: 'pow',
-      timestamp: Date.now(),
-      boost: 0.1,
-      nonce: result.nonce
-    };
+  const state = getPublicState(session);
+  for (const client of clients) {
+    send(client, 'revoke', { ...state, features: revoked, revoked: true });
   }
 
-  return null;
+  if (clients[0]) await escalate(clients[0], session);
 }
 
-async function attestTiming(result) {
-  if (!result || result.length < 5) return null;
+/**
+ * Tell every tab of the session what it gained without asking
+ */
+async function notifyUnlocks(session, granted) {
+  for (const client of await sessionClients(session)) {
+    send(client, 'unlock', unlockPayload(session, granted));
+  }
+}
 
-  // Check timing variance (natural timing has some variance)
-  const v = variance(result);
-  const mean = result.reduce((a, b) => a + b) / result.length;
+async function sessionClients(session) {
+  const ids = [...clientSessions].filter(([, id]) => id === session.id).map(([clientId]) => clientId);
+  return (await Promise.all(ids.map(id => self.clients.get(id)))).filter(Boolean);
+}
 
-  // Too precise is suspicious
-  if (v < 0.1 || mean < 9 || mean > 15) return null;
+// ========== ESCALATION ==========
+
+// One challenge at a time, cheapest first: timing, then behavioral, then
+// proof of work. Each kind gets MAX_ATTEMPTS tries before we move up the
+// ladder; kinds the session already holds are skipped. We stop at the
+// next stage, or when what is left of the ladder can't close the gap.
+// Stages past CHALLENGE_STAGES need email or a passkey - not ours to ask.
+// The sequence task is the behavioral step for keyboard and assistive
+// technology users only: a script does it as easily as a person.
+const LADDER = ['timing', 'behavioral', 'pow'];
+const ASSISTIVE_LADDER = ['timing', 'sequence', 'pow'];
+const CHALLENGE_KINDS = [...new Set([...LADDER, ...ASSISTIVE_LADDER])];
+const CHALLENGE_STAGES = ['fingerprint', 'behavioral', 'pow'];
+
+// Kinds whose attestation is another kind's - holding either closes both
+const ATTESTS = { sequence: 'behavioral' };
+
+// Most a kind can add to the score (see ATTESTATION HELPERS). The
+// sequence task proves little - a script does it as easily, and any page
+// can say it is assistive - so it is worth a fraction of behavioral.
+const MAX_BOOST = { timing: 0.02, behavioral: 0.1, pow: 0.1, sequence: 0.02 };
+
+// The alternative path for privacy-hardened browsers: their fingerprint
+// is mostly noise, and scores low. A harder proof of work, checked here
+// like any other, stands in for its share - saying you are hardened only
+// gets you the longer puzzle.
+const HARDENED_POW = { difficulty: 22, boost: 0.25 };
+
+// What the client is asked to do; pow and sequence carry their own
+const CHALLENGE_DATA = {
+  timing: { samples: 10 },
+  behavioral: { duration: 5000 }
+};
 
-  return {
-    type: 'timing',
-    timestamp: Date.now(),
-    boost: 0.02
-  };
-}
+// Labels for the sequence task's buttons: short, distinct when read out
+const SEQUENCE_WORDS = ['apple', 'river', 'stone', 'cloud', 'maple', 'tiger', 'piano', 'lemon', 'candle', 'harbor'];
+const SEQUENCE_LENGTH = 4;
 
-async function verifyEmailProof(proof) {
-  // In production, verify with server
-  // For now, just check structure
-  return proof && proof.token && proof.email && proof.verified;
+const MIN_EARNED = 0.01;             // less than this is a failed attempt
+const MAX_ATTEMPTS = 2;              // per kind, per target stage
+const MAX_FAILURES = 4;              // per target stage, then give up
+const FIRST_CHALLENGE_DELAY = 3000;  // let app.js mount before the first one
+
+const escalationTimers = new Map(); // session id -> timeout
+
+function createEscalation() {
+  return { target: null, attempts: {}, failures: 0, gaveUp: false, clientId: null };
 }
 
-async function verifyPasskeyProof(proof) {
-  // In production, verify with server
-  // For now, just check structure
-  return proof && proof.credential && proof.authenticatorData;
+/**
+ * Issue the next challenge, if any, to `client` - or, from a timer, to
+ * the tab that was last challenged.
+ */
+async function escalate(client, session, { delay = 0 } = {}) {
+  const escalation = session.escalation;
+  if (client) escalation.clientId = client.id;
+  else client = escalation.clientId ? await self.clients.get(escalation.clientId) : null;
+  if (!client) return; // Tab gone - nobody to ask
+
+  collectTimeouts(session);
+  if (CHALLENGE_KINDS.some(kind => hasOutstanding(session, kind))) return;
+
+  const kind = nextChallenge(session);
+  saveState(session);
+  if (!kind) return;
+
+  const extra = kind === 'sequence' ? { ...sequenceTask(), steps: [], boost: maxBoost('sequence') }
+    : kind !== 'pow' ? {}
+    : session.privacy.length
+      ? { difficulty: Math.max(HARDENED_POW.difficulty, powDifficulty(session.organic)), boost: HARDENED_POW.boost }
+      : { difficulty: powDifficulty(session.organic) };
+  const challenge = issueChallenge(session, kind, extra);
+  const data = kind === 'pow'
+    ? { challenge: challenge.value, difficulty: challenge.difficulty, expires: challenge.expires }
+    : kind === 'sequence'
+      ? { items: challenge.items, find: challenge.prompt[0], of: challenge.prompt.length, expires: challenge.expires }
+      : { ...CHALLENGE_DATA[kind], expires: challenge.expires };
+
+  const post = () => send(client, 'challenge', { id: challenge.value, type: kind, data });
+  if (delay) setTimeout(post, delay);
+  else post();
+
+  // Unanswered by expiry = failed; move on without waiting for a message
+  clearTimeout(escalationTimers.get(session.id));
+  escalationTimers.set(session.id, setTimeout(() => escalate(null, session), challenge.expires - Date.now()));
 }
 
-// ========== STATE MANAGEMENT ==========
+/**
+ * Which kind to ask for next, or null when there is nothing to ask
+ */
+function nextChallenge(session) {
+  const { stages } = policy;
+  const escalation = session.escalation;
 
-function updateStage() {
-  // Find highest stage we qualify for
-  for (let i = STAGES.length - 1; i >= 0; i--) {
-    if (state.organic >= STAGES[i].threshold) {
-      state.stage = i;
-
-      // Add all unlocks up to this stage
-      for (let j = 0; j <= i; j++) {
-        for (const unlock of STAGES[j].unlock) {
-          if (!state.unlocked.includes(unlock)) {
-            state.unlocked.push(unlock);
-          }
-        }
-      }
-      break;
-    }
+  // The first stage not yet reached
+  const target = stages.findIndex(stage => session.organic < stage.threshold);
+  if (target === -1 || !CHALLENGE_STAGES.includes(stages[target].id)) return null;
+
+  // New target: fresh attempts
+  if (escalation.target !== target) {
+    Object.assign(escalation, createEscalation(), { target, clientId: escalation.clientId });
+  }
+  if (escalation.gaveUp) return null;
+
+  const held = new Set(session.attestations.map(a => a.type));
+  const ladder = session.assistive ? ASSISTIVE_LADDER : LADDER;
+  const open = ladder.filter(kind =>
+    !held.has(ATTESTS[kind] || kind) && (escalation.attempts[kind] || 0) < MAX_ATTEMPTS);
+
+  // Kinds attesting the same thing count once
+  const gap = stages[target].threshold - session.organic;
+  const best = new Map();
+  for (const kind of open) {
+    const type = ATTESTS[kind] || kind;
+    best.set(type, Math.max(best.get(type) || 0, maxBoost(kind, session)));
   }
+  const reachable = [...best.values()].reduce((sum, boost) => sum + boost, 0);
+  if (reachable < gap) return null;
+
+  return open[0] || null;
 }
 
-function getNewUnlocks() {
-  // Compare current unlocks with what stage should have
-  const expected = [];
-  for (let i = 0; i <= state.stage; i++) {
-    expected.push(...STAGES[i].unlock);
-  }
-  return expected.filter(u => !state.unlocked.includes(u));
+/**
+ * Most a kind can add - a model may be trained to a different range,
+ * and hardened sessions' proof of work counts for more. The sequence
+ * task never comes near behavioral, whatever its range.
+ */
+function maxBoost(kind, session) {
+  if (kind === 'pow' && session?.privacy.length) return HARDENED_POW.boost;
+  if (kind === 'behavioral') return behavioralMax(activeModels(model), MAX_BOOST.behavioral);
+  if (kind === 'sequence') return Math.min(MAX_BOOST.sequence, maxBoost('behavioral') / 4);
+  return MAX_BOOST[kind];
 }
 
-function getPublicState() {
-  return {
-    organic: state.organic,
-    stage: state.stage,
-    stageName: STAGES[state.stage]?.id || 'none',
-    unlocked: [...state.unlocked],
-    attestationCount: state.attestations.length,
-    cssGatesCompleted: [...state.cssGatesCompleted],
-    cssMediaCount: state.cssSignals?.mediaCount || 0,
-    fingerprint: state.vector ? hashSync(Array.from(state.vector).slice(0, 8).join(',')) : null
-  };
+/**
+ * The words to press, in order (`prompt`), and the buttons showing them,
+ * shuffled apart (`items`). The prompt stays here: the page is told one
+ * word at a time (handleSequenceStep()), each once the last was pressed.
+ */
+function sequenceTask() {
+  const prompt = shuffle(SEQUENCE_WORDS).slice(0, SEQUENCE_LENGTH);
+  return { prompt, items: shuffle(prompt) };
+}
+
+function failChallenge(session, kind) {
+  const escalation = session.escalation;
+  escalation.attempts[kind] = (escalation.attempts[kind] || 0) + 1;
+  escalation.failures++;
+  if (escalation.failures >= MAX_FAILURES) escalation.gaveUp = true;
+  saveState(session);
+}
+
+/**
+ * Challenges that lapsed unanswered are failures too
+ */
+function collectTimeouts(session) {
+  const now = Date.now();
+  const lapsed = session.challenges.filter(c => CHALLENGE_KINDS.includes(c.kind) && c.expires <= now);
+  if (!lapsed.length) return;
+
+  session.challenges = session.challenges.filter(c => !lapsed.includes(c));
+  for (const challenge of lapsed) failChallenge(session, challenge.kind);
 }
 
 // ========== UTILITIES ==========
@@ -469,6 +2176,16 @@ async function hashVector(vector) {
   return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
 }
 
+function shuffle(values) {
+  const shuffled = [...values];
+  const random = crypto.getRandomValues(new Uint32Array(shuffled.length));
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = random[i] % (i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
 function hashSync(str) {
   let hash = 0;
   for (let i = 0; i < str.length; i++) {
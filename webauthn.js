@@ -0,0 +1,288 @@
+/**
+ * webauthn.js - Passkey Verification
+ * Checks WebAuthn registrations and assertions without a server.
+ * Imported by vector-sw.js. No DOM, no dependencies.
+ */
+
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+
+const FLAG_UP = 0x01; // User present
+const FLAG_UV = 0x04; // User verified
+const FLAG_AT = 0x40; // Attested credential data included
+
+// ========== ENCODING ==========
+
+export function base64urlEncode(bytes) {
+  let str = '';
+  for (const b of new Uint8Array(bytes)) str += String.fromCharCode(b);
+  return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64urlDecode(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Minimal CBOR decoder - enough for attestation objects and COSE keys.
+ * Returns { value, offset } so callers can find where an item ends.
+ */
+export function decodeCBOR(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const readLength = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return view.getUint8(offset++);
+    if (info === 25) { const v = view.getUint16(offset); offset += 2; return v; }
+    if (info === 26) { const v = view.getUint32(offset); offset += 4; return v; }
+    if (info === 27) {
+      const v = view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+      offset += 8;
+      return v;
+    }
+    throw new Error('cbor: indefinite lengths not supported');
+  };
+
+  const item = () => {
+    const initial = view.getUint8(offset++);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0: return readLength(info);
+      case 1: return -1 - readLength(info);
+      case 2: {
+        const len = readLength(info);
+        const value = bytes.slice(offset, offset + len);
+        offset += len;
+        return value;
+      }
+      case 3: {
+        const len = readLength(info);
+        const value = new TextDecoder().decode(bytes.subarray(offset, offset + len));
+        offset += len;
+        return value;
+      }
+      case 4: {
+        const len = readLength(info);
+        const arr = [];
+        for (let i = 0; i < len; i++) arr.push(item());
+        return arr;
+      }
+      case 5: {
+        const len = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < len; i++) {
+          const key = item();
+          map.set(key, item());
+        }
+        return map;
+      }
+      case 6:
+        readLength(info); // Tag number - ignored
+        return item();
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        if (info === 23) return undefined;
+        throw new Error('cbor: floats not supported');
+    }
+  };
+
+  const value = item();
+  if (offset > bytes.length) throw new Error('cbor: truncated');
+  return { value, offset };
+}
+
+// ========== PARSING ==========
+
+export function parseClientData(bytes) {
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+export function parseAuthenticatorData(bytes) {
+  if (bytes.length < 37) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const flags = bytes[32];
+
+  const data = {
+    rpIdHash: bytes.slice(0, 32),
+    flags,
+    userPresent: !!(flags & FLAG_UP),
+    userVerified: !!(flags & FLAG_UV),
+    signCount: view.getUint32(33),
+    credential: null
+  };
+
+  if (flags & FLAG_AT) {
+    if (bytes.length < 55) return null;
+    const idLength = view.getUint16(53);
+    const credentialId = bytes.slice(55, 55 + idLength);
+    const { value: coseKey } = decodeCBOR(bytes, 55 + idLength);
+    data.credential = { id: base64urlEncode(credentialId), coseKey };
+  }
+
+  return data;
+}
+
+/**
+ * COSE_Key (RFC 8152) -> JWK, for crypto.subtle.importKey
+ */
+export function coseToJwk(coseKey) {
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+
+  if (kty === 2 && alg === COSE_ALG_ES256 && coseKey.get(-1) === 1) {
+    return {
+      alg,
+      jwk: { kty: 'EC', crv: 'P-256', x: base64urlEncode(coseKey.get(-2)), y: base64urlEncode(coseKey.get(-3)) }
+    };
+  }
+
+  if (kty === 3 && alg === COSE_ALG_RS256) {
+    return {
+      alg,
+      jwk: { kty: 'RSA', n: base64urlEncode(coseKey.get(-1)), e: base64urlEncode(coseKey.get(-2)) }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * WebAuthn ES256 signatures are ASN.1 DER; WebCrypto wants raw r||s
+ */
+export function derToRaw(der, size = 32) {
+  let offset = 2; // SEQUENCE tag + length (< 128 for P-256)
+  const readInt = () => {
+    if (der[offset++] !== 0x02) throw new Error('der: expected INTEGER');
+    const len = der[offset++];
+    let int = der.subarray(offset, offset + len);
+    offset += len;
+    while (int.length > size && int[0] === 0) int = int.subarray(1);
+    const out = new Uint8Array(size);
+    out.set(int, size - int.length);
+    return out;
+  };
+
+  if (der[0] !== 0x30) throw new Error('der: expected SEQUENCE');
+  const raw = new Uint8Array(size * 2);
+  raw.set(readInt(), 0);
+  raw.set(readInt(), size);
+  return raw;
+}
+
+// ========== VERIFICATION ==========
+
+/**
+ * Checks shared by registration and assertion.
+ * `expected` = { type, origin, rpId, challenge(value) -> bool }
+ */
+async function verifyCeremony(clientDataJSON, authenticatorData, expected) {
+  const clientData = parseClientData(clientDataJSON);
+  if (!clientData) return { ok: false, reason: 'client-data' };
+  if (clientData.type !== expected.type) return { ok: false, reason: 'type' };
+  if (clientData.origin !== expected.origin) return { ok: false, reason: 'origin' };
+  if (!(await expected.challenge(clientData.challenge))) return { ok: false, reason: 'challenge' };
+
+  const authData = parseAuthenticatorData(authenticatorData);
+  if (!authData) return { ok: false, reason: 'authenticator-data' };
+
+  const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(expected.rpId)));
+  if (!equalBytes(rpIdHash, authData.rpIdHash)) return { ok: false, reason: 'rp-id' };
+  if (!authData.userPresent) return { ok: false, reason: 'user-presence' };
+
+  return { ok: true, clientData, authData };
+}
+
+/**
+ * Verify a navigator.credentials.create() response.
+ * Attestation statements are not checked (passkeys use "none").
+ * Returns { ok, credential: { id, alg, jwk, signCount } } or { ok: false, reason }.
+ */
+export async function verifyRegistration({ clientDataJSON, attestationObject }, expected) {
+  let attestation;
+  try {
+    attestation = decodeCBOR(attestationObject).value;
+  } catch {
+    return { ok: false, reason: 'attestation-object' };
+  }
+
+  const authenticatorData = attestation?.get?.('authData');
+  if (!(authenticatorData instanceof Uint8Array)) return { ok: false, reason: 'attestation-object' };
+
+  let result;
+  try {
+    result = await verifyCeremony(clientDataJSON, authenticatorData, { ...expected, type: 'webauthn.create' });
+  } catch {
+    return { ok: false, reason: 'authenticator-data' };
+  }
+  if (!result.ok) return result;
+
+  const { credential, signCount } = result.authData;
+  if (!credential) return { ok: false, reason: 'no-credential' };
+
+  const key = coseToJwk(credential.coseKey);
+  if (!key) return { ok: false, reason: 'algorithm' };
+
+  return { ok: true, credential: { id: credential.id, alg: key.alg, jwk: key.jwk, signCount } };
+}
+
+/**
+ * Verify a navigator.credentials.get() response against a stored credential.
+ * Returns { ok, signCount, userVerified } or { ok: false, reason }.
+ */
+export async function verifyAssertion({ clientDataJSON, authenticatorData, signature }, credential, expected) {
+  let result;
+  try {
+    result = await verifyCeremony(clientDataJSON, authenticatorData, { ...expected, type: 'webauthn.get' });
+  } catch {
+    return { ok: false, reason: 'authenticator-data' };
+  }
+  if (!result.ok) return result;
+
+  // Signature covers authenticatorData || SHA-256(clientDataJSON)
+  const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON));
+  const signed = new Uint8Array(authenticatorData.length + clientDataHash.length);
+  signed.set(authenticatorData, 0);
+  signed.set(clientDataHash, authenticatorData.length);
+
+  let valid = false;
+  try {
+    if (credential.alg === COSE_ALG_ES256) {
+      const key = await crypto.subtle.importKey('jwk', credential.jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+      valid = await crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, key, derToRaw(signature), signed);
+    } else if (credential.alg === COSE_ALG_RS256) {
+      const key = await crypto.subtle.importKey('jwk', credential.jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+      valid = await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signed);
+    }
+  } catch {
+    valid = false;
+  }
+  if (!valid) return { ok: false, reason: 'signature' };
+
+  // Counter must move forward unless the authenticator doesn't keep one (both 0)
+  const { signCount, userVerified } = result.authData;
+  if ((signCount !== 0 || credential.signCount !== 0) && signCount <= credential.signCount) {
+    return { ok: false, reason: 'sign-count' };
+  }
+
+  return { ok: true, signCount, userVerified };
+}
+
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}